@@ -0,0 +1,300 @@
+// Activity Panel - Renders the recent activity section: a 30-day sparkline and a timeline grouped by day
+class ActivityPanel {
+  /**
+   * @param {Object} options - Panel options
+   * @param {number} options.days - Days covered by the sparkline
+   * @param {number} options.maxItems - Timeline rows shown, after grouping
+   */
+  constructor({ days = 30, maxItems = 15 } = {}) {
+    this.days = days;
+    this.maxItems = maxItems;
+    this.elements = {
+      panel: document.getElementById("activityPanel"),
+      status: document.getElementById("activityStatus"),
+      summary: document.getElementById("activitySummary"),
+      sparkline: document.getElementById("activitySparkline"),
+      total: document.getElementById("activityTotal"),
+      list: document.getElementById("activityList"),
+    };
+  }
+
+  /**
+   * Get the start of the period the sparkline covers
+   * @param {number} now - Current time in ms
+   * @returns {number} ms timestamp of midnight, `days - 1` days ago
+   */
+  getSince(now = Date.now()) {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (this.days - 1));
+    return start.getTime();
+  }
+
+  /**
+   * Show the section's loading placeholder
+   */
+  showLoading() {
+    this.clear();
+    this.setStatus(i18n.t("activity.loading"));
+    this.elements.panel?.setAttribute("aria-busy", "true");
+  }
+
+  /**
+   * Show an error inside the section, leaving the rest of the card intact
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    this.clear();
+    this.setStatus(message, true);
+  }
+
+  /**
+   * Render the sparkline and the timeline
+   * @param {Array<Object>} events - Normalized events, newest first
+   * @param {number} now - Current time in ms
+   */
+  render(events, now = Date.now()) {
+    this.clear();
+
+    if (events.length === 0) {
+      this.setStatus(i18n.t("activity.empty"));
+      return;
+    }
+
+    this.renderSparkline(this.getDailyCounts(events, now));
+    this.renderTimeline(this.groupEvents(events).slice(0, this.maxItems));
+  }
+
+  /**
+   * Reset the section to empty
+   */
+  clear() {
+    const { panel, status, summary, sparkline, list } = this.elements;
+    panel?.removeAttribute("aria-busy");
+    status?.classList.add("hidden");
+    status?.classList.remove("error");
+    summary?.classList.add("hidden");
+    sparkline?.replaceChildren();
+    list?.replaceChildren();
+  }
+
+  /**
+   * Show a status line (loading, empty or error)
+   * @param {string} message - Status text
+   * @param {boolean} isError - Style as an error
+   */
+  setStatus(message, isError = false) {
+    const { status } = this.elements;
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.toggle("error", isError);
+    status.classList.remove("hidden");
+  }
+
+  /**
+   * Count events per local day
+   * @param {Array<Object>} events - Normalized events
+   * @param {number} now - Current time in ms
+   * @returns {Array<number>} One count per day, oldest first
+   */
+  getDailyCounts(events, now = Date.now()) {
+    const counts = new Array(this.days).fill(0);
+    const since = new Date(this.getSince(now));
+
+    events.forEach((event) => {
+      const day = new Date(event.createdAt);
+      day.setHours(0, 0, 0, 0);
+      // Rounded, since a daylight saving change makes a day 23 or 25 hours
+      const index = Math.round((day - since) / 86400000);
+      if (index >= 0 && index < this.days) {
+        counts[index] += 1;
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * Merge runs of pushes to the same branch on the same day, then group
+   * the rows by day
+   * @param {Array<Object>} events - Normalized events, newest first
+   * @returns {Array<Object>} Rows ({ ...event, day, pushes }), newest first
+   */
+  groupEvents(events) {
+    const rows = [];
+
+    events.forEach((event) => {
+      const day = new Date(event.createdAt).toDateString();
+      const previous = rows[rows.length - 1];
+
+      if (
+        event.type === "push" &&
+        previous &&
+        previous.type === "push" &&
+        previous.day === day &&
+        previous.repo === event.repo &&
+        previous.title === event.title
+      ) {
+        previous.pushes += 1;
+        if (previous.count !== null && event.count !== null) {
+          previous.count += event.count;
+        } else {
+          previous.count = null;
+        }
+        return;
+      }
+
+      rows.push({ ...event, day, pushes: 1 });
+    });
+    return rows;
+  }
+
+  /**
+   * Draw the daily counts as a line, with the total beside it
+   * @param {Array<number>} counts - Events per day, oldest first
+   */
+  renderSparkline(counts) {
+    const { summary, sparkline, total } = this.elements;
+    if (!sparkline) return;
+
+    const width = 300;
+    const height = 40;
+    const max = Math.max(...counts, 1);
+    const step = width / (counts.length - 1);
+    const points = counts
+      .map((count, index) => {
+        // Keep a 2px margin so the stroke isn't clipped at the edges
+        const y = height - 2 - (count / max) * (height - 4);
+        return `${(index * step).toFixed(1)},${y.toFixed(1)}`;
+      })
+      .join(" ");
+
+    const namespace = "http://www.w3.org/2000/svg";
+    const area = document.createElementNS(namespace, "polygon");
+    area.setAttribute("class", "activity-sparkline-area");
+    area.setAttribute("points", `0,${height} ${points} ${width},${height}`);
+
+    const line = document.createElementNS(namespace, "polyline");
+    line.setAttribute("class", "activity-sparkline-line");
+    line.setAttribute("points", points);
+
+    sparkline.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    sparkline.replaceChildren(area, line);
+
+    const sum = counts.reduce((a, b) => a + b, 0);
+    const label = i18n.t("activity.total", { count: sum, days: this.days });
+    sparkline.setAttribute("aria-label", label);
+    if (total) {
+      total.textContent = label;
+    }
+    summary?.classList.remove("hidden");
+  }
+
+  /**
+   * Render the grouped rows under a heading per day
+   * @param {Array<Object>} rows - Rows from groupEvents()
+   */
+  renderTimeline(rows) {
+    const { list } = this.elements;
+    if (!list) return;
+
+    let group = null;
+    rows.forEach((row) => {
+      if (!group || group.dataset.day !== row.day) {
+        group = document.createElement("ol");
+        group.className = "activity-day-events";
+        group.dataset.day = row.day;
+
+        const heading = document.createElement("h4");
+        heading.className = "activity-day";
+        heading.textContent = i18n.formatDate(row.createdAt, {
+          weekday: "short",
+          month: "short",
+          day: "numeric",
+        });
+
+        const day = document.createElement("li");
+        day.className = "activity-day-group";
+        day.append(heading, group);
+        list.appendChild(day);
+      }
+
+      group.appendChild(this.renderRow(row));
+    });
+  }
+
+  /**
+   * Build one timeline row: an icon, the linked summary and the time
+   * @param {Object} row - Row from groupEvents()
+   * @returns {HTMLLIElement} List item
+   */
+  renderRow(row) {
+    const item = document.createElement("li");
+    item.className = `activity-item activity-${row.type}`;
+
+    const icon = document.createElement("span");
+    icon.className = "activity-icon";
+    icon.setAttribute("aria-hidden", "true");
+    icon.textContent = ActivityPanel.icons[row.type] || "•";
+
+    const link = document.createElement("a");
+    link.className = "activity-summary-link";
+    link.href = row.url;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    link.textContent = this.describe(row);
+
+    const time = document.createElement("time");
+    time.className = "activity-time";
+    time.dateTime = row.createdAt;
+    time.textContent = i18n.formatDate(row.createdAt, {
+      hour: "numeric",
+      minute: "2-digit",
+    });
+
+    item.append(icon, link, time);
+    return item;
+  }
+
+  /**
+   * Write a readable summary of an event
+   * @param {Object} row - Row from groupEvents()
+   * @returns {string} Summary, e.g. "Pushed 3 commits to main in octocat/Hello-World"
+   */
+  describe(row) {
+    const { repo, title } = row;
+
+    switch (row.type) {
+      case "push":
+        return row.count
+          ? i18n.t("activity.pushCommits", {
+              count: row.count,
+              ref: title,
+              repo,
+            })
+          : i18n.t("activity.pushes", { count: row.pushes, ref: title, repo });
+      case "pullRequest":
+        return i18n.t(`activity.pullRequest.${row.action}`, { title, repo });
+      case "issue":
+        return i18n.t(`activity.issue.${row.action}`, { title, repo });
+      case "star":
+        return i18n.t("activity.star", { repo });
+      case "release":
+        return i18n.t("activity.release", { title, repo });
+      default:
+        return repo;
+    }
+  }
+}
+
+// Shown before each row; decorative, the summary says what happened
+ActivityPanel.icons = {
+  push: "⬆",
+  pullRequest: "⇄",
+  issue: "◎",
+  star: "★",
+  release: "⚑",
+};
+
+// Export for use in other modules
+window.ActivityPanel = ActivityPanel;
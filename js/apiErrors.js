@@ -0,0 +1,64 @@
+// API Errors - Error types raised by ApiService that callers can tell apart
+
+/**
+ * Raised when GitHub's rate limit is exhausted, or when a request is blocked
+ * locally because the quota is already known to be used up
+ */
+class RateLimitError extends Error {
+  /**
+   * @param {string} message - User-facing error message
+   * @param {number} resetAt - Timestamp (ms) when requests may resume
+   */
+  constructor(message, resetAt) {
+    super(message);
+    this.name = "RateLimitError";
+    this.resetAt = resetAt;
+  }
+}
+
+/**
+ * Raised when GitHub rejects the configured personal access token (401)
+ */
+class AuthError extends Error {
+  constructor(message = i18n.t("errors.auth")) {
+    super(message);
+    this.name = "AuthError";
+  }
+}
+
+/**
+ * Raised when the requested profile doesn't exist (404, or no match in
+ * providers that look users up by search)
+ */
+class NotFoundError extends Error {
+  constructor(message = i18n.t("errors.notFound")) {
+    super(message);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * Raised when a request gets no complete response within ApiService's
+ * timeout. Requests cancelled by the caller reject with the browser's
+ * AbortError instead.
+ */
+class TimeoutError extends Error {
+  /**
+   * @param {number} timeout - Timeout in ms that was exceeded
+   * @param {string} message - User-facing error message
+   */
+  constructor(
+    timeout,
+    message = i18n.t("errors.timeout", { count: Math.ceil(timeout / 1000) })
+  ) {
+    super(message);
+    this.name = "TimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+// Export for use in other modules
+window.RateLimitError = RateLimitError;
+window.AuthError = AuthError;
+window.NotFoundError = NotFoundError;
+window.TimeoutError = TimeoutError;
@@ -1,132 +1,529 @@
-// API Service - Handles all data fetching operations
+// API Service - Handles all data fetching operations through a profile provider
 class ApiService {
-  constructor() {
-    this.baseUrl = "https://api.github.com/users";
-    this.usernames = [
-      "octocat",
-      "defunkt",
-      "mojombo",
-      "wycats",
-      "ezmobius",
-      "ivey",
-      "evanphx",
-      "vanpelt",
-      "wayneeseguin",
-      "brynary",
-      "kevinclark",
-      "technoweenie",
-      "macournoyer",
-      "takeo",
-      "caged",
-      "topfunky",
-      "anotherjesse",
-      "roland",
-      "lukas",
-      "fanvsfan",
-      "tomtt",
-      "railsjitsu",
-      "nitay",
-      "kevwil",
-      "KirinDave",
-      "jamesgolick",
-      "atmos",
-      "errfree",
-      "mojodna",
-      "bmizerany",
-      "jnewland",
-      "josh",
-      "fearoffish",
-      "court3nay",
-      "ry",
-      "bkeepers",
-      "indirect",
-      "jamtur01",
-      "kneath",
-      "bendycode",
-      "ryanseys",
-    ];
-  }
-
-  /**
-   * Get a random username from the predefined list
-   * @returns {string} Random username
-   */
-  getRandomUsername() {
-    return this.usernames[Math.floor(Math.random() * this.usernames.length)];
-  }
-
-  /**
-   * Fetch user data from GitHub API
-   * @param {string} username - GitHub username
-   * @returns {Promise<Object>} Processed user data
-   * @throws {Error} Network or API errors
+  /**
+   * @param {Object} options - Service options
+   * @param {number} options.cacheTtl - Time in ms cached responses are served without revalidation
+   * @param {number} options.timeout - Time in ms a request may take before it fails with a TimeoutError
+   * @param {string} options.token - Personal access token (stored locally)
+   * @param {string|ProfileProvider} options.provider - Provider id ("github", "gitlab", "gitea", "json") or instance
+   * @param {Object} options.providerOptions - Options for the provider, e.g. { apiRoot } or { url }
+   * @param {Array<string>|Object} options.randomPool - Source of random profiles (see RandomPool); defaults to the provider's pool
+   */
+  constructor(options = {}) {
+    this.provider = ProfileProvider.create(
+      options.provider,
+      options.providerOptions
+    );
+    this.randomPool = new RandomPool(options.randomPool);
+    this.cache = new ResponseCache({ ttl: options.cacheTtl });
+    this.tokenStorageKey = `profileCard:token:${this.provider.id}`;
+    this.token = null;
+    this.timeout = options.timeout || 10000;
+
+    // Last known quota per GitHub rate-limit resource ("core", "search")
+    this.rateLimits = {};
+    // Set by Retry-After on secondary rate limits; applies to every resource
+    this.blockedUntil = 0;
+
+    if (options.token) {
+      this.setToken(options.token);
+    } else {
+      this.token = this.loadStoredToken();
+    }
+  }
+
+  /**
+   * Run a request under its own AbortController, aborted when the timeout
+   * passes or when the caller's signal is aborted
+   * @param {AbortSignal|undefined} signal - Caller's signal, e.g. from a newer navigation
+   * @param {Function} task - Called with the request's signal; reads the whole response
+   * @returns {Promise<*>} The task's result
+   * @throws {TimeoutError} If the timeout passes first
+   * @throws {DOMException} AbortError if the caller aborted
    */
-  async fetchUserData(username) {
+  async withTimeout(signal, task) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      abort();
+    }, this.timeout);
+
+    if (signal?.aborted) {
+      abort();
+    } else {
+      signal?.addEventListener("abort", abort);
+    }
+
     try {
-      const response = await fetch(`${this.baseUrl}/${username}`);
+      return await task(controller.signal);
+    } catch (error) {
+      if (timedOut && error.name === "AbortError") {
+        throw new TimeoutError(this.timeout);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", abort);
+    }
+  }
+
+  /**
+   * Fetch JSON from the API, serving and revalidating cached responses.
+   * Fresh entries are returned without a request; stale ones are revalidated
+   * with If-None-Match so an unchanged resource costs no rate-limit quota.
+   * Offline, the last copy is served however old it is.
+   * @param {string} url - Request URL
+   * @param {Object} options - Request options
+   * @param {boolean} options.forceRefresh - Revalidate even if the entry is fresh
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {Object} options.offline - Gets `cachedAt` (ms) set when an offline copy is served
+   * @param {boolean} options.anonymous - Leave the token off, e.g. for files on other hosts
+   * @returns {Promise<Object>} Parsed response body
+   * @throws {Error} HTTP errors
+   */
+  async fetchJson(
+    url,
+    { forceRefresh = false, signal, offline, anonymous = false } = {}
+  ) {
+    const cached = this.cache.get(url);
+
+    if (cached && !forceRefresh && this.cache.isFresh(cached)) {
+      return cached.data;
+    }
+
+    // Don't spend a request we know will be rejected
+    const resource = this.getRateLimitResource(url);
+    if (this.isRateLimited(resource)) {
+      if (cached) return cached.data;
+      throw this.createRateLimitError(resource);
+    }
+
+    const headers = {
+      Accept: "application/json",
+      ...(this.token && !anonymous
+        ? this.provider.getAuthHeaders(this.token)
+        : {}),
+    };
+    if (cached && cached.etag) {
+      headers["If-None-Match"] = cached.etag;
+    }
+
+    return this.withTimeout(signal, async (requestSignal) => {
+      let response;
+      try {
+        // Bypass the browser's HTTP cache so a 304 reaches us untouched
+        response = await fetch(url, {
+          headers,
+          cache: "no-store",
+          signal: requestSignal,
+        });
+      } catch (error) {
+        // fetch rejects with a TypeError when there is no connection
+        if (error.name !== "TypeError" || !cached) throw error;
+        this.markOffline(offline, cached.storedAt);
+        return cached.data;
+      }
+      this.updateRateLimit(response.headers);
+
+      if (response.status === 304 && cached) {
+        this.cache.touch(url);
+        return cached.data;
+      }
 
       if (!response.ok) {
-        this.handleHttpError(response.status);
+        this.handleHttpError(response.status, response.headers);
       }
 
-      const userData = await response.json();
-      return this.processUserData(userData);
+      const data = await response.json();
+
+      // The service worker's offline copy; keep the newer one we may hold
+      const cachedAt = Number(response.headers.get("X-Cached-At"));
+      if (cachedAt) {
+        if (cached && cached.storedAt > cachedAt) {
+          this.markOffline(offline, cached.storedAt);
+          return cached.data;
+        }
+        this.markOffline(offline, cachedAt);
+        return data;
+      }
+
+      this.cache.set(url, data, response.headers.get("ETag"));
+      return data;
+    });
+  }
+
+  /**
+   * Record that a response came from an offline copy. A profile built from
+   * several responses is as old as its oldest one.
+   * @param {Object|undefined} offline - Caller's record, from fetchJson's options
+   * @param {number} cachedAt - When the copy was stored (ms)
+   */
+  markOffline(offline, cachedAt) {
+    if (!offline) return;
+    offline.cachedAt = Math.min(offline.cachedAt || Infinity, cachedAt);
+  }
+
+  /**
+   * Send a non-cached request (e.g. PUT/DELETE) with the token attached
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {Object} options - Request options
+   * @param {Array<number>} options.allowedStatuses - Error statuses returned instead of thrown
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {Promise<Response>} Raw response
+   * @throws {Error} HTTP errors
+   */
+  async sendRequest(method, url, { allowedStatuses = [], signal } = {}) {
+    return this.withTimeout(signal, async (requestSignal) => {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          Accept: "application/json",
+          ...(this.token ? this.provider.getAuthHeaders(this.token) : {}),
+        },
+        cache: "no-store",
+        signal: requestSignal,
+      });
+      this.updateRateLimit(response.headers);
+
+      if (!response.ok && !allowedStatuses.includes(response.status)) {
+        this.handleHttpError(response.status, response.headers);
+      }
+
+      return response;
+    });
+  }
+
+  /**
+   * Check if follows can be synced with the provider
+   * @returns {boolean} True if signed in and the provider supports following
+   */
+  canSyncFollows() {
+    return this.isAuthenticated() && this.provider.canFollow;
+  }
+
+  /**
+   * Follow or unfollow a user on the provider
+   * @param {Object} userData - Normalized user data
+   * @param {boolean} following - True to follow, false to unfollow
+   * @throws {Error} Network, auth or API errors
+   */
+  async setFollowing(userData, following) {
+    if (!this.token) {
+      throw new AuthError(i18n.t("errors.signInToFollow"));
+    }
+
+    try {
+      await this.provider.setFollowing(
+        userData,
+        following,
+        (method, url, options) => this.sendRequest(method, url, options)
+      );
+    } catch (error) {
+      this.handleNetworkError(error);
+    }
+  }
+
+  /**
+   * Ask the provider whether the token owner follows a user
+   * @param {Object} userData - Normalized user data
+   * @returns {Promise<boolean|null>} Follow state, or null if unknown
+   */
+  async checkFollowing(userData) {
+    if (!this.canSyncFollows()) return null;
+
+    try {
+      return await this.provider.isFollowing(userData, (method, url, options) =>
+        this.sendRequest(method, url, options)
+      );
+    } catch (error) {
+      this.handleNetworkError(error);
+    }
+  }
+
+  /**
+   * Fetch user data from the configured provider
+   * @param {string} username - Username on the provider
+   * @param {Object} options - Request options passed to fetchJson
+   * @returns {Promise<Object>} Processed user data; `cachedAt` (ms) is set
+   *   when it was served from an offline copy
+   * @throws {Error} Network or API errors
+   */
+  async fetchUserData(username, options = {}) {
+    const offline = {};
+
+    try {
+      const userData = await this.provider.fetchUser(username, (url) =>
+        this.fetchJson(url, { ...options, offline })
+      );
+      return offline.cachedAt
+        ? { ...userData, cachedAt: offline.cachedAt }
+        : userData;
+    } catch (error) {
+      this.handleNetworkError(error);
+    }
+  }
+
+  /**
+   * Fetch a user's public repositories
+   * @param {Object} userData - Normalized user data
+   * @param {Object} options - Request options passed to fetchJson
+   * @returns {Promise<Array<Object>>} Normalized repositories
+   * @throws {Error} Network or API errors
+   */
+  async fetchUserRepos(userData, options = {}) {
+    try {
+      return await this.provider.fetchRepos(userData, (url) =>
+        this.fetchJson(url, options)
+      );
+    } catch (error) {
+      this.handleNetworkError(error);
+    }
+  }
+
+  /**
+   * Fetch a user's organizations and social accounts, where the provider
+   * loads them separately
+   * @param {Object} userData - Normalized user data
+   * @param {Object} options - Request options passed to fetchJson
+   * @returns {Promise<Object|null>} { orgs, socialAccounts }, or null if they came with the user
+   * @throws {Error} Network or API errors
+   */
+  async fetchUserDetails(userData, options = {}) {
+    try {
+      return await this.provider.fetchDetails(userData, (url) =>
+        this.fetchJson(url, options)
+      );
+    } catch (error) {
+      this.handleNetworkError(error);
+    }
+  }
+
+  /**
+   * Fetch a user's recent public activity
+   * @param {Object} userData - Normalized user data
+   * @param {number} since - ms timestamp of the oldest activity needed
+   * @param {Object} options - Request options passed to fetchJson
+   * @returns {Promise<Array<Object>>} Normalized events, newest first
+   * @throws {Error} Network or API errors
+   */
+  async fetchUserEvents(userData, since, options = {}) {
+    try {
+      return await this.provider.fetchEvents(
+        userData,
+        (url) => this.fetchJson(url, options),
+        since
+      );
     } catch (error) {
       this.handleNetworkError(error);
     }
   }
 
   /**
-   * Fetch a random user's data
+   * Fetch a random user's data. Usernames that turn out not to exist are
+   * dropped from the pool and the next one is tried.
+   * @param {Object} options - Request options passed to fetchJson ({ signal })
    * @returns {Promise<Object>} Processed user data
    */
-  async fetchRandomUser() {
-    const randomUsername = this.getRandomUsername();
-    return await this.fetchUserData(randomUsername);
+  async fetchRandomUser(options = {}) {
+    if (!this.randomPool.loaded) {
+      try {
+        await this.randomPool.load(this.provider, (url, requestOptions) =>
+          this.fetchJson(url, { ...options, ...requestOptions })
+        );
+      } catch (error) {
+        this.handleNetworkError(error);
+      }
+    }
+
+    while (this.randomPool.size() > 0) {
+      const username = this.randomPool.next();
+
+      try {
+        return await this.fetchUserData(username, options);
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) throw error;
+        console.warn(`Removed ${username} from the random pool: not found`);
+        this.randomPool.remove(username);
+      }
+    }
+
+    throw new Error(
+      i18n.t("errors.noUsernames", { provider: this.provider.name })
+    );
   }
 
   /**
-   * Process raw API data into a clean format
-   * @param {Object} data - Raw API response
+   * Fetch the account the configured token belongs to
+   * @returns {Promise<Object>} Processed user data
+   * @throws {AuthError} If no token is set or it is rejected
+   */
+  async fetchAuthenticatedUser() {
+    if (!this.token) {
+      throw new AuthError(i18n.t("errors.noToken"));
+    }
+
+    try {
+      return await this.provider.fetchViewer((url) =>
+        this.fetchJson(url, { forceRefresh: true })
+      );
+    } catch (error) {
+      this.handleNetworkError(error);
+    }
+  }
+
+  /**
+   * Search users by login for autocomplete suggestions
+   * @param {string} query - Partial username to search for
+   * @param {number} limit - Maximum number of results
+   * @param {Object} options - Request options passed to fetchJson ({ signal })
+   * @returns {Promise<Array<Object>>} Matching users ({ username, avatar })
+   * @throws {Error} Network or API errors
+   */
+  async searchUsers(query, limit = 6, options = {}) {
+    try {
+      return await this.provider.searchUsers(query, limit, (url) =>
+        this.fetchJson(url, options)
+      );
+    } catch (error) {
+      this.handleNetworkError(error);
+    }
+  }
+
+  /**
+   * Process raw API data into the normalized user object
+   * @param {Object} data - Raw API response from the current provider
    * @returns {Object} Processed user data
    */
   processUserData(data) {
+    return this.provider.normalizeUser(data);
+  }
+
+  /**
+   * Get the rate-limit resource a request URL counts against
+   * @param {string} url - Request URL
+   * @returns {string} Resource name
+   */
+  getRateLimitResource(url) {
+    return url.startsWith(`${this.provider.apiRoot}/search/`)
+      ? "search"
+      : "core";
+  }
+
+  /**
+   * Record the quota reported by GitHub's rate-limit headers
+   * @param {Headers} headers - Response headers
+   */
+  updateRateLimit(headers) {
+    const remaining = headers.get("X-RateLimit-Remaining");
+    if (remaining === null) return;
+
+    const resource = headers.get("X-RateLimit-Resource") || "core";
+    this.rateLimits[resource] = {
+      limit: Number(headers.get("X-RateLimit-Limit")),
+      remaining: Number(remaining),
+      resetAt: Number(headers.get("X-RateLimit-Reset")) * 1000,
+    };
+  }
+
+  /**
+   * Check whether requests to a resource are known to be rejected right now
+   * @param {string} resource - Rate-limit resource name
+   * @returns {boolean} True if the quota is exhausted
+   */
+  isRateLimited(resource = "core") {
+    if (this.blockedUntil > Date.now()) return true;
+
+    const quota = this.rateLimits[resource];
+    return (
+      Boolean(quota) && quota.remaining === 0 && quota.resetAt > Date.now()
+    );
+  }
+
+  /**
+   * Build the error for an exhausted quota
+   * @param {string} resource - Rate-limit resource name
+   * @returns {RateLimitError} Error carrying the reset time
+   */
+  createRateLimitError(resource) {
+    if (this.blockedUntil > Date.now()) {
+      return new RateLimitError(i18n.t("errors.slowDown"), this.blockedUntil);
+    }
+
+    const quota = this.rateLimits[resource];
+    return new RateLimitError(
+      i18n.t("errors.rateLimit", { limit: quota.limit }),
+      quota.resetAt
+    );
+  }
+
+  /**
+   * Get the last known rate-limit quota
+   * @returns {Object} Quota per resource and any secondary-limit block
+   */
+  getRateLimit() {
     return {
-      id: data.id,
-      username: data.login,
-      name: data.name || data.login,
-      avatar: data.avatar_url,
-      bio: data.bio || "No bio available",
-      location: data.location || "Location not specified",
-      email: data.email || null,
-      company: data.company || null,
-      blog: data.blog || null,
-      followers: data.followers || 0,
-      following: data.following || 0,
-      publicRepos: data.public_repos || 0,
-      joinDate: data.created_at,
-      htmlUrl: data.html_url,
+      ...this.rateLimits,
+      blockedUntil: this.blockedUntil > Date.now() ? this.blockedUntil : null,
     };
   }
 
   /**
    * Handle HTTP errors with specific messages
    * @param {number} status - HTTP status code
+   * @param {Headers|null} headers - Response headers, used to detect rate limits
    * @throws {Error} Descriptive error message
    */
-  handleHttpError(status) {
+  handleHttpError(status, headers = null) {
+    const retryAfter = headers ? headers.get("Retry-After") : null;
+    const resource = headers
+      ? headers.get("X-RateLimit-Resource") || "core"
+      : "core";
+
+    // Secondary rate limits come with Retry-After instead of an empty quota
+    if ((status === 403 || status === 429) && retryAfter !== null) {
+      this.blockedUntil = this.parseRetryAfter(retryAfter);
+      throw this.createRateLimitError(resource);
+    }
+
+    if ((status === 403 || status === 429) && this.isRateLimited(resource)) {
+      throw this.createRateLimitError(resource);
+    }
+
     switch (status) {
+      case 401:
+        throw new AuthError();
       case 404:
-        throw new Error("User not found. Please try again.");
+        throw new NotFoundError();
       case 403:
-        throw new Error("API rate limit exceeded. Please try again later.");
+        throw new Error(i18n.t("errors.forbidden"));
+      case 429:
+        throw new Error(i18n.t("errors.tooManyRequests"));
       case 500:
-        throw new Error("Server error. Please try again later.");
+        throw new Error(i18n.t("errors.server"));
       default:
-        throw new Error(`HTTP error! status: ${status}`);
+        throw new Error(i18n.t("errors.http", { status }));
     }
   }
 
+  /**
+   * Read a Retry-After header, which holds either seconds or an HTTP date
+   * @param {string} retryAfter - Header value
+   * @returns {number} Timestamp (ms) when requests may resume
+   */
+  parseRetryAfter(retryAfter) {
+    const seconds = Number(retryAfter);
+    if (retryAfter.trim() !== "" && !Number.isNaN(seconds)) {
+      return Date.now() + seconds * 1000;
+    }
+
+    // An unreadable value still blocks for a minute rather than not at all
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? Date.now() + 60 * 1000 : date;
+  }
+
   /**
    * Handle network errors
    * @param {Error} error - Network error
@@ -134,11 +531,78 @@ class ApiService {
    */
   handleNetworkError(error) {
     if (error.name === "TypeError" && error.message.includes("fetch")) {
-      throw new Error("Network error. Please check your internet connection.");
+      throw new Error(i18n.t("errors.network"));
     }
     throw error;
   }
 
+  /**
+   * Use a personal access token for all requests and store it locally.
+   * Cached responses and known quotas belong to the previous identity, so
+   * they are discarded.
+   * @param {string} token - GitHub personal access token
+   */
+  setToken(token) {
+    this.token = token.trim();
+    this.resetSession();
+
+    try {
+      window.localStorage.setItem(this.tokenStorageKey, this.token);
+    } catch (error) {
+      console.warn("Failed to store access token:", error);
+    }
+  }
+
+  /**
+   * Forget the personal access token and go back to anonymous requests
+   */
+  clearToken() {
+    this.token = null;
+    this.resetSession();
+
+    try {
+      window.localStorage.removeItem(this.tokenStorageKey);
+    } catch (error) {
+      console.warn("Failed to remove access token:", error);
+    }
+  }
+
+  /**
+   * Read a previously stored personal access token
+   * @returns {string|null} Stored token
+   */
+  loadStoredToken() {
+    try {
+      return window.localStorage.getItem(this.tokenStorageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if requests are sent with a token
+   * @returns {boolean} True if authenticated
+   */
+  isAuthenticated() {
+    return Boolean(this.token);
+  }
+
+  /**
+   * Drop cached responses and quotas tied to the current identity
+   */
+  resetSession() {
+    this.cache.clear();
+    this.rateLimits = {};
+    this.blockedUntil = 0;
+  }
+
+  /**
+   * Remove all cached responses
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
   /**
    * Validate if a username is valid
    * @param {string} username - Username to validate
@@ -167,8 +631,10 @@ class ApiService {
 
         // Don't retry on certain errors
         if (
-          error.message.includes("not found") ||
-          error.message.includes("rate limit")
+          error instanceof NotFoundError ||
+          error instanceof RateLimitError ||
+          error instanceof AuthError ||
+          error.name === "AbortError"
         ) {
           throw error;
         }
@@ -1,10 +1,79 @@
 // Main Application Controller - Orchestrates the application flow
 class ProfileCardApp {
-  constructor() {
-    this.apiService = new ApiService();
+  /**
+   * @param {Object} options - App options
+   * @param {number} options.cacheTtl - Cache TTL in ms for API responses
+   * @param {number} options.timeout - Time in ms before a request fails with a TimeoutError
+   * @param {string} options.token - Personal access token for the provider
+   * @param {string|ProfileProvider} options.provider - Profile provider id or instance
+   * @param {Object} options.providerOptions - Provider options, e.g. { apiRoot }
+   * @param {Array<string>|Object} options.randomPool - Usernames, { url }, { org } or { followersOf } for random profiles
+   * @param {Array<Object>} options.themes - Custom themes (see ThemeManager.register)
+   * @param {string} options.theme - Default theme id, "system" to follow the OS
+   * @param {string} options.locale - Default language until the user picks one; detected from the browser if unset
+   * @param {boolean} options.autoRefresh - Refresh the displayed profile periodically until the user turns it off
+   * @param {number} options.autoRefreshInterval - ms between automatic refreshes, at least one minute
+   */
+  constructor(options = {}) {
+    if (options.locale) {
+      i18n.setDefaultLocale(options.locale);
+    }
+
+    this.apiService = new ApiService({
+      cacheTtl: options.cacheTtl,
+      timeout: options.timeout,
+      token: options.token,
+      provider: options.provider,
+      providerOptions: options.providerOptions,
+      randomPool: options.randomPool,
+    });
     this.domManager = new DomManager();
+    this.notifications = new NotificationCenter({
+      announce: (message, priority) =>
+        this.domManager.announce(message, priority),
+    });
+    this.themeManager = new ThemeManager({
+      themes: options.themes,
+      defaultTheme: options.theme,
+    });
+    this.reposPanel = new ReposPanel();
+    this.activityPanel = new ActivityPanel();
+    this.followStore = new FollowStore(this.apiService.provider.id);
+    this.viewHistory = new ViewHistory(this.apiService.provider.id);
+    this.favorites = new FavoritesStore(this.apiService.provider.id);
+    this.favoritesPanel = new FavoritesPanel();
+    this.messageComposer = new MessageComposer();
+    this.keyboardShortcuts = new KeyboardShortcuts();
+    this.autoRefresh = new AutoRefresh({
+      interval: options.autoRefreshInterval,
+      enabled: options.autoRefresh,
+      onRefresh: () => this.handleAutoRefresh(),
+    });
+    this.currentRepos = null; // { username, repos } for the displayed profile
+    this.currentActivity = null; // { username, events } for the displayed profile
+    this.profileExporter = new ProfileExporter();
+    this.router = new Router();
     this.currentUser = null;
+    this.compareUsers = []; // The two profiles shown in compare mode
     this.isLoading = false;
+    // Lowercased usernames whose follow change is still being synced
+    this.pendingFollows = new Set();
+    // Aborted when a newer profile load starts, so the latest one wins
+    this.navigationController = null;
+    // Loads started so far; the first is the startup route's
+    this.navigationCount = 0;
+
+    // Search autocomplete settings
+    this.searchDebounceDelay = 300;
+    this.minSearchLength = 2;
+    this.searchTimeout = null;
+    this.searchController = null; // Aborted when the query changes
+
+    // Username the secondary sections (repos, ...) are being loaded for
+    this.sectionsUsername = null;
+    this.sectionsController = null; // Aborted when another profile's sections start
+
+    this.removeLocaleListener = i18n.onChange(() => this.applyLocale());
 
     this.init();
   }
@@ -13,8 +82,91 @@ class ProfileCardApp {
    * Initialize the application
    */
   init() {
+    this.themeManager.apply();
+    this.applyLocale();
     this.bindEvents();
-    this.loadRandomUser();
+    this.verifyToken();
+    this.setupRoutes();
+    this.router.start();
+  }
+
+  /**
+   * Render everything in the current language. Runs on startup and again
+   * whenever the language changes.
+   */
+  applyLocale() {
+    document.documentElement.lang = i18n.getLocale();
+    this.domManager.translate();
+    this.domManager.renderLocaleOptions(i18n.getLocales(), i18n.getLocale());
+    this.domManager.renderThemeOptions(
+      this.themeManager.getThemes(),
+      this.themeManager.getPreference()
+    );
+    this.domManager.setProviderName(this.apiService.provider.name);
+    this.domManager.renderFollowingList(this.followStore.getAll());
+    this.notifications.renderHistory();
+    this.renderViewHistory();
+    this.renderFavorites();
+    this.updateAutoRefreshButton();
+
+    if (this.currentUser) {
+      this.domManager.displayUserData(this.currentUser);
+      this.domManager.updateFollowButton(
+        this.followStore.isFollowing(this.currentUser.username)
+      );
+      this.domManager.updateFavoriteButton(
+        this.favorites.isFavorite(this.currentUser.username)
+      );
+    }
+    if (
+      this.currentRepos &&
+      this.currentRepos.username === this.sectionsUsername
+    ) {
+      this.reposPanel.render(this.currentRepos.repos);
+    }
+    if (
+      this.currentActivity &&
+      this.currentActivity.username === this.sectionsUsername
+    ) {
+      this.activityPanel.render(this.currentActivity.events);
+    }
+    if (this.compareUsers.length === 2) {
+      this.domManager.renderComparison(
+        this.compareUsers,
+        this.compareProfiles(this.compareUsers)
+      );
+    }
+  }
+
+  /**
+   * Map URL routes to profile loads. The current route decides what loads
+   * on startup; anything unrecognized falls back to a random profile.
+   */
+  setupRoutes() {
+    this.router
+      .on("/user/:username", ({ username }) => this.loadUser(username))
+      .on("/random", () => this.loadRandomUser())
+      .on("/compare/:first/:second", ({ first, second }) =>
+        this.loadComparison(first, second)
+      )
+      .otherwise(() => this.loadRandomUser());
+  }
+
+  /**
+   * Point the URL at the profile that was just displayed
+   * @param {Object} userData - Displayed user data
+   */
+  updateRoute(userData) {
+    const path = this.router.userPath(userData.username);
+    const currentPath = this.router.getPath();
+
+    // "#/random" and differently-cased usernames resolve to this profile,
+    // so replace them instead of adding a history entry
+    this.router.navigate(path, {
+      replace:
+        currentPath === "/random" ||
+        currentPath.toLowerCase() === path.toLowerCase(),
+    });
   }
 
   /**
@@ -23,23 +175,61 @@ class ProfileCardApp {
   bindEvents() {
     const callbacks = {
       onRefresh: () => this.handleRefresh(),
+      onAutoRefreshToggle: () => this.handleAutoRefreshToggle(),
       onRetry: () => this.handleRetry(),
+      onBack: () => this.router.back(),
+      onFollowingSelect: (username) => this.loadUser(username),
+      onFollowingRemove: (username) => this.handleUnfollowFromList(username),
+      onHistoryStep: (step) => this.handleHistoryStep(step),
+      onHistorySelect: (index) => this.handleHistorySelect(index),
+      onHistoryClear: () => this.handleHistoryClear(),
+      onCompare: () => this.openCompare(),
+      onCompareSubmit: (first, second) => this.loadComparison(first, second),
+      onExitCompare: () => this.exitCompare(),
       onFollow: () => this.handleFollow(),
+      onFavorite: () => this.handleFavorite(),
       onMessage: () => this.handleMessage(),
+      onExport: (format) => this.handleExport(format),
+      onSearchInput: (query) => this.handleSearchInput(query),
+      onSearchSubmit: (username) => this.handleSearchSubmit(username),
+      onSignIn: (token) => this.handleSignIn(token),
+      onSignOut: () => this.handleSignOut(),
+      onThemeChange: (themeId) => this.themeManager.setPreference(themeId),
+      onLocaleChange: (locale) => i18n.setLocale(locale),
     };
 
     this.domManager.bindEvents(callbacks);
+    this.notifications.bindEvents();
+    this.favoritesPanel.bindEvents({
+      onChange: () => this.renderFavorites(),
+      onOpen: (username) => this.handleFavoriteOpen(username),
+      onRemove: (username) => this.handleFavoriteRemove(username),
+      onSave: (username, details) => this.handleFavoriteSave(username, details),
+      onExport: () => this.handleFavoritesExport(),
+      onImport: (file) => this.handleFavoritesImport(file),
+    });
+    this.messageComposer.bindEvents({
+      onSend: (message) => this.handleSendMessage(message),
+    });
+    this.keyboardShortcuts.bindEvents({
+      onRandom: () => this.handleRefresh(),
+      onFollow: () => {
+        // Only the visible card, not one hidden behind an error or compare view
+        if (this.domManager.isProfileCardVisible()) {
+          this.handleFollow();
+        }
+      },
+      onSearch: () => this.domManager.focusSearch(),
+    });
   }
 
   /**
    * Handle refresh button click
    */
   async handleRefresh() {
-    if (this.isLoading) return;
-
+    // endNavigation() stops the spinner once the latest load is done
     this.domManager.addRefreshButtonLoading();
     await this.loadRandomUser();
-    this.domManager.removeRefreshButtonLoading();
   }
 
   /**
@@ -52,55 +242,877 @@ class ProfileCardApp {
   /**
    * Handle follow button click
    */
-  handleFollow() {
+  async handleFollow() {
+    // Covers the "f" shortcut too, which doesn't go through the disabled button
+    if (!this.currentUser || this.isFollowPending(this.currentUser.username)) {
+      return;
+    }
+
+    const isFollowing = this.followStore.isFollowing(this.currentUser.username);
+    await this.changeFollowState(this.currentUser, !isFollowing);
+  }
+
+  /**
+   * Handle the unfollow button in the following list
+   * @param {string} username - Username to unfollow
+   */
+  async handleUnfollowFromList(username) {
+    const entry = this.followStore.get(username);
+    if (entry) {
+      await this.changeFollowState(entry, false);
+    }
+  }
+
+  /**
+   * Follow or unfollow a user. The local store is updated right away; when a
+   * token is configured the change is synced with the provider and rolled
+   * back if that fails. Calls for a user whose change is still being synced
+   * are ignored, so overlapping requests can't roll each other back.
+   * @param {Object} user - User data or follow entry (username, name, avatar, id)
+   * @param {boolean} follow - True to follow, false to unfollow
+   */
+  async changeFollowState(user, follow) {
+    if (this.isFollowPending(user.username)) return;
+
+    this.applyFollowState(user, follow);
+
+    if (this.apiService.canSyncFollows()) {
+      const key = user.username.toLowerCase();
+      this.pendingFollows.add(key);
+      this.updateFollowBusy(user.username);
+
+      try {
+        await this.apiService.setFollowing(user, follow);
+      } catch (error) {
+        console.error("Error syncing follow state:", error);
+        this.applyFollowState(user, !follow);
+        this.notifications.notify(
+          i18n.t(
+            follow ? "following.followFailed" : "following.unfollowFailed",
+            {
+              name: user.name,
+              error: error.message,
+            }
+          ),
+          "error",
+          {
+            action: {
+              label: i18n.t("notifications.retry"),
+              onClick: () => this.changeFollowState(user, follow),
+            },
+          }
+        );
+        return;
+      } finally {
+        this.pendingFollows.delete(key);
+        this.updateFollowBusy(user.username);
+      }
+    }
+
+    const message = i18n.t(
+      follow ? "following.followed" : "following.unfollowed",
+      { name: user.name }
+    );
+    this.notifications.notify(message, "success", {
+      action: {
+        label: i18n.t("notifications.undo"),
+        onClick: () => this.changeFollowState(user, !follow),
+      },
+    });
+  }
+
+  /**
+   * Check if a user's follow change is still being synced
+   * @param {string} username - Username
+   * @returns {boolean} True while the request is in flight
+   */
+  isFollowPending(username) {
+    return this.pendingFollows.has(username.toLowerCase());
+  }
+
+  /**
+   * Disable the follow button while the displayed user's change is pending
+   * @param {string} username - User whose pending state changed
+   */
+  updateFollowBusy(username) {
+    if (
+      this.currentUser &&
+      this.currentUser.username.toLowerCase() === username.toLowerCase()
+    ) {
+      this.domManager.setFollowButtonBusy(this.isFollowPending(username));
+    }
+  }
+
+  /**
+   * Update the follow store and every view that shows follow state
+   * @param {Object} user - User data or follow entry
+   * @param {boolean} follow - New follow state
+   */
+  applyFollowState(user, follow) {
+    if (follow) {
+      this.followStore.follow(user);
+    } else {
+      this.followStore.unfollow(user.username);
+    }
+
+    if (this.currentUser && this.currentUser.username === user.username) {
+      this.domManager.updateFollowButton(follow);
+    }
+    this.domManager.renderFollowingList(this.followStore.getAll());
+  }
+
+  /**
+   * Pull the real follow state from the provider when signed in
+   * @param {Object} userData - Displayed user data
+   */
+  async syncFollowState(userData) {
+    try {
+      const isFollowing = await this.apiService.checkFollowing(userData);
+      // A change still being synced is newer than this answer
+      if (isFollowing === null || this.isFollowPending(userData.username)) {
+        return;
+      }
+      if (this.followStore.isFollowing(userData.username) === isFollowing) {
+        return;
+      }
+
+      // Only touch the button if this profile is still displayed
+      if (this.currentUser && this.currentUser.username === userData.username) {
+        this.applyFollowState(userData, isFollowing);
+      } else if (isFollowing) {
+        this.followStore.follow(userData);
+      } else {
+        this.followStore.unfollow(userData.username);
+      }
+    } catch (error) {
+      console.warn("Could not check follow state:", error);
+    }
+  }
+
+  /**
+   * Star or unstar the displayed profile
+   */
+  handleFavorite() {
     if (!this.currentUser) return;
 
-    const isNowFollowing = this.domManager.toggleFollow();
-    const message = isNowFollowing
-      ? `Following ${this.currentUser.name} successfully!`
-      : `Unfollowed ${this.currentUser.name} successfully!`;
+    const user = this.currentUser;
+    if (this.favorites.isFavorite(user.username)) {
+      this.handleFavoriteRemove(user.username);
+      return;
+    }
+
+    this.favorites.add(user);
+    this.renderFavorites();
+    this.domManager.updateFavoriteButton(true);
+    this.notifications.notify(
+      i18n.t("favorites.added", { name: user.name }),
+      "success",
+      {
+        action: {
+          label: i18n.t("notifications.undo"),
+          onClick: () => this.handleFavoriteRemove(user.username),
+        },
+      }
+    );
+  }
+
+  /**
+   * Remove a favorite, offering to undo it with its tags and note intact
+   * @param {string} username - Username
+   */
+  handleFavoriteRemove(username) {
+    const entry = this.favorites.get(username);
+    if (!entry) return;
+
+    this.favorites.remove(username);
+    this.renderFavorites();
+    this.updateFavoriteButtonFor(username);
+    this.notifications.notify(
+      i18n.t("favorites.removed", { name: entry.user.name }),
+      "success",
+      {
+        action: {
+          label: i18n.t("notifications.undo"),
+          onClick: () => {
+            this.favorites.restore(entry);
+            this.renderFavorites();
+            this.updateFavoriteButtonFor(username);
+          },
+        },
+      }
+    );
+  }
 
-    this.domManager.showNotification(message, "success");
+  /**
+   * Open a favorite through the normal profile load
+   * @param {string} username - Username
+   */
+  async handleFavoriteOpen(username) {
+    this.domManager.toggleFavoritesPanel(false);
+    await this.loadUser(username);
+  }
+
+  /**
+   * Save a favorite's tags and note from the panel editor
+   * @param {string} username - Username
+   * @param {Object} details - { tags, note } as typed
+   */
+  handleFavoriteSave(username, details) {
+    this.favorites.update(username, details);
+    this.renderFavorites();
+
+    const entry = this.favorites.get(username);
+    if (entry) {
+      this.notifications.notify(
+        i18n.t("favorites.saved", { name: entry.user.name }),
+        "success"
+      );
+    }
+  }
+
+  /**
+   * Download every favorite as a JSON file others can import
+   */
+  handleFavoritesExport() {
+    const count = this.favorites.getAll().length;
+    if (count === 0) return;
+
+    this.profileExporter.download(
+      new Blob([this.favorites.export()], {
+        type: "application/json;charset=utf-8",
+      }),
+      `favorites-${this.apiService.provider.id}.json`
+    );
+    this.notifications.notify(
+      i18n.t("favorites.exported", { count }),
+      "success"
+    );
+  }
+
+  /**
+   * Merge favorites from a file made by handleFavoritesExport()
+   * @param {File} file - Chosen JSON file
+   */
+  async handleFavoritesImport(file) {
+    try {
+      const count = this.favorites.import(await file.text());
+      this.renderFavorites();
+      if (this.currentUser) {
+        this.updateFavoriteButtonFor(this.currentUser.username);
+      }
+      this.notifications.notify(
+        i18n.t("favorites.imported", { count }),
+        "success"
+      );
+    } catch (error) {
+      console.error("Favorites import failed:", error);
+      this.notifications.notify(error.message, "error");
+    }
+  }
+
+  /**
+   * Update the favorite button if a user is the one displayed
+   * @param {string} username - Username whose favorite state changed
+   */
+  updateFavoriteButtonFor(username) {
+    if (
+      this.currentUser &&
+      this.currentUser.username.toLowerCase() === username.toLowerCase()
+    ) {
+      this.domManager.updateFavoriteButton(this.favorites.isFavorite(username));
+    }
+  }
+
+  /**
+   * Render the favorites panel with its current filters, and the header count
+   */
+  renderFavorites() {
+    const total = this.favorites.getAll().length;
+    this.domManager.updateFavoritesCount(total);
+    this.favoritesPanel.render(
+      this.favorites.search(this.favoritesPanel.getFilter()),
+      this.favorites.getTags(),
+      total
+    );
+  }
+
+  /**
+   * Download the displayed profile as an image or a data file
+   * @param {string} format - "png", "svg", "vcard", "json" or "markdown"
+   */
+  async handleExport(format) {
+    if (!this.currentUser) return;
+
+    this.domManager.setExportBusy(true);
+    try {
+      const filename =
+        format === "png" || format === "svg"
+          ? await this.profileExporter.exportImage(
+              format,
+              this.domManager.getCardContent(this.currentUser),
+              this.domManager.getCardTheme()
+            )
+          : this.profileExporter.exportProfile(format, this.currentUser);
+      this.notifications.notify(
+        i18n.t("export.saved", { filename }),
+        "success"
+      );
+    } catch (error) {
+      console.error("Export failed:", error);
+      this.notifications.notify(i18n.t("export.failed"), "error", {
+        action: {
+          label: i18n.t("notifications.retry"),
+          onClick: () => this.handleExport(format),
+        },
+      });
+    } finally {
+      this.domManager.setExportBusy(false);
+    }
   }
 
   /**
    * Handle message button click
    */
-  handleMessage() {
+  async handleMessage() {
     if (!this.currentUser) return;
 
-    this.domManager.showMessageModal(
-      this.currentUser.name,
-      this.currentUser.username
+    const user = this.currentUser;
+    const repos = await this.getReposFor(user);
+    this.messageComposer.open(user, this.getContactChannels(user, repos));
+  }
+
+  /**
+   * Get a user's repositories, reusing the ones the repos section loaded
+   * @param {Object} userData - User data
+   * @returns {Promise<Array<Object>>} Repositories, empty if they can't be loaded
+   */
+  async getReposFor(userData) {
+    if (this.currentRepos && this.currentRepos.username === userData.username) {
+      return this.currentRepos.repos;
+    }
+
+    try {
+      return await this.apiService.fetchUserRepos(userData);
+    } catch (error) {
+      console.warn("Could not load repositories for contact links:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Work out how a user can be contacted with the data we have
+   * @param {Object} userData - User data
+   * @param {Array<Object>} repos - User's repositories
+   * @returns {Array<Object>} Channels ({ id, label, repos })
+   */
+  getContactChannels(userData, repos) {
+    const provider = this.apiService.provider;
+    const channels = [];
+
+    if (userData.email) {
+      channels.push({
+        id: "email",
+        label: i18n.t("message.emailChannel", { email: userData.email }),
+        repos: [],
+      });
+    }
+
+    const ownRepos = repos
+      .filter((repo) => !repo.isFork)
+      .sort((a, b) => b.stars - a.stars)
+      .slice(0, 20);
+
+    provider.contactLinkTypes.forEach((type) => {
+      const eligible = ownRepos.filter((repo) =>
+        type === "issue" ? repo.hasIssues : repo.hasDiscussions
+      );
+      if (eligible.length > 0) {
+        channels.push({
+          id: type,
+          label: i18n.t(`message.${type}Channel`, { provider: provider.name }),
+          repos: eligible,
+        });
+      }
+    });
+
+    return channels;
+  }
+
+  /**
+   * Open the chosen channel with the composed message
+   * @param {Object} message - Composer output ({ user, channel, repo, subject, body })
+   */
+  handleSendMessage({ user, channel, repo, subject, body }) {
+    if (channel.id === "email") {
+      window.location.href =
+        `mailto:${user.email}?subject=${encodeURIComponent(subject)}` +
+        `&body=${encodeURIComponent(body)}`;
+    } else {
+      const url = this.apiService.provider.buildContactUrl(repo, channel.id, {
+        title:
+          subject ||
+          i18n.t("message.defaultSubject", { username: user.username }),
+        body,
+      });
+      window.open(url, "_blank", "noopener");
+    }
+
+    this.messageComposer.clearDraft(user.username);
+    this.messageComposer.reset();
+    this.messageComposer.close();
+    this.notifications.notify(
+      channel.id === "email"
+        ? i18n.t("message.openedEmail", { name: user.name })
+        : i18n.t(
+            channel.id === "issue"
+              ? "message.openedIssue"
+              : "message.openedDiscussion",
+            { repo: repo.name }
+          ),
+      "success"
     );
   }
 
+  /**
+   * Check the configured token (if any) and update the auth indicator
+   * @returns {Promise<boolean>} False if GitHub rejected the token
+   */
+  async verifyToken() {
+    if (!this.apiService.isAuthenticated()) {
+      this.domManager.updateAuthIndicator({ status: "anonymous" });
+      return true;
+    }
+
+    this.domManager.updateAuthIndicator({ status: "checking" });
+
+    try {
+      const viewer = await this.apiService.fetchAuthenticatedUser();
+      this.domManager.updateAuthIndicator({
+        status: "signed-in",
+        username: viewer.username,
+      });
+      return true;
+    } catch (error) {
+      if (error instanceof AuthError) {
+        this.domManager.updateAuthIndicator({ status: "invalid" });
+        return false;
+      }
+
+      // Network trouble doesn't mean the token is bad
+      console.warn("Could not verify access token:", error);
+      this.domManager.updateAuthIndicator({ status: "signed-in" });
+      return true;
+    }
+  }
+
+  /**
+   * Handle a token submitted from the settings panel
+   * @param {string} token - Personal access token
+   */
+  async handleSignIn(token) {
+    if (!token || !token.trim()) {
+      this.domManager.showAuthError(i18n.t("auth.pasteToken"));
+      return;
+    }
+
+    this.domManager.clearAuthError();
+    this.apiService.setToken(token);
+    this.domManager.clearTokenInput();
+
+    if (await this.verifyToken()) {
+      this.domManager.toggleAuthPanel(false);
+      this.notifications.notify(i18n.t("auth.signedInNotice"), "success");
+    } else {
+      this.domManager.showAuthError(new AuthError().message);
+    }
+  }
+
+  /**
+   * Handle sign out from the settings panel
+   */
+  handleSignOut() {
+    this.apiService.clearToken();
+    this.domManager.updateAuthIndicator({ status: "anonymous" });
+    this.domManager.toggleAuthPanel(false);
+    this.notifications.notify(i18n.t("auth.signedOutNotice"), "info");
+  }
+
+  /**
+   * Handle typing in the search box, debouncing suggestion requests
+   * @param {string} query - Current search input value
+   */
+  handleSearchInput(query) {
+    clearTimeout(this.searchTimeout);
+    const trimmedQuery = query.trim();
+
+    if (trimmedQuery.length < this.minSearchLength) {
+      this.searchController?.abort();
+      this.domManager.hideSearchSuggestions();
+      return;
+    }
+
+    this.searchTimeout = setTimeout(() => {
+      this.fetchSuggestions(trimmedQuery);
+    }, this.searchDebounceDelay);
+  }
+
+  /**
+   * Fetch and display autocomplete suggestions
+   * @param {string} query - Search query
+   */
+  async fetchSuggestions(query) {
+    this.searchController?.abort();
+    this.searchController = new AbortController();
+    const { signal } = this.searchController;
+
+    try {
+      const users = await this.apiService.searchUsers(query, undefined, {
+        signal,
+      });
+
+      // Ignore responses for queries the user has already typed past
+      if (signal.aborted) return;
+      this.domManager.showSearchSuggestions(users);
+    } catch (error) {
+      if (signal.aborted) return;
+      this.domManager.hideSearchSuggestions();
+      this.domManager.showSearchError(error.message);
+    }
+  }
+
+  /**
+   * Handle a username chosen from the search box
+   * @param {string} username - Selected or typed username
+   */
+  async handleSearchSubmit(username) {
+    clearTimeout(this.searchTimeout);
+    this.searchController?.abort();
+    this.domManager.clearSearch();
+    await this.loadUser(username.trim());
+  }
+
+  /**
+   * Display a freshly loaded profile and point the URL at it
+   * @param {Object} userData - User data
+   */
+  showUser(userData) {
+    this.viewHistory.add(userData);
+    this.renderViewHistory();
+    // Keep saved favorites up to date with what the provider returns
+    this.favorites.refresh(userData);
+    this.currentUser = userData;
+    this.domManager.displayUserData(userData);
+    this.domManager.updateFollowButton(
+      this.followStore.isFollowing(userData.username)
+    );
+    this.updateFollowBusy(userData.username);
+    this.domManager.updateFavoriteButton(
+      this.favorites.isFavorite(userData.username)
+    );
+    this.domManager.showProfileCard();
+    if (!this.isStartupLoad()) {
+      this.domManager.focusProfileCard();
+    }
+    this.updateRoute(userData);
+    this.loadProfileSections(userData);
+    this.autoRefresh.schedule();
+  }
+
+  /**
+   * Display a profile from the recently viewed strip. Its stored data is
+   * shown as is; only the secondary sections are loaded again.
+   * @param {Object|null} userData - Stored user data, null if out of range
+   */
+  showStoredUser(userData) {
+    if (!userData) return;
+
+    // A load still in flight must not replace the card afterwards
+    this.cancelNavigation();
+    this.renderViewHistory();
+    this.currentUser = userData;
+    this.domManager.displayUserData(userData);
+    this.domManager.updateFollowButton(
+      this.followStore.isFollowing(userData.username)
+    );
+    this.updateFollowBusy(userData.username);
+    this.domManager.updateFavoriteButton(
+      this.favorites.isFavorite(userData.username)
+    );
+    this.domManager.showProfileCard();
+    this.domManager.focusProfileCard();
+    this.domManager.announce(i18n.t("profile.loaded", { name: userData.name }));
+    this.updateRoute(userData);
+    this.loadProfileSections(userData);
+    this.autoRefresh.schedule();
+  }
+
+  /**
+   * Handle the previous/next buttons of the recently viewed strip
+   * @param {number} step - -1 for the previous profile, 1 for the next
+   */
+  handleHistoryStep(step) {
+    this.showStoredUser(this.viewHistory.go(step));
+  }
+
+  /**
+   * Handle an avatar picked from the recently viewed strip
+   * @param {number} index - Position in the history
+   */
+  handleHistorySelect(index) {
+    this.showStoredUser(this.viewHistory.select(index));
+  }
+
+  /**
+   * Forget the recently viewed profiles, keeping the displayed one
+   */
+  handleHistoryClear() {
+    this.viewHistory.clear();
+    this.renderViewHistory();
+    this.domManager.focusProfileCard();
+  }
+
+  /**
+   * Render the recently viewed strip from the stored history
+   */
+  renderViewHistory() {
+    this.domManager.renderViewHistory(
+      this.viewHistory.getAll(),
+      this.viewHistory.index
+    );
+  }
+
+  /**
+   * Load the card's secondary sections after the main card has rendered.
+   * Not awaited by callers, so they never delay the card itself.
+   * @param {Object} userData - User data
+   */
+  loadProfileSections(userData) {
+    this.sectionsUsername = userData.username;
+    this.sectionsController?.abort();
+    this.sectionsController = new AbortController();
+    this.loadDetails(userData, this.sectionsController.signal);
+    this.loadRepos(userData, this.sectionsController.signal);
+    this.loadActivity(userData, this.sectionsController.signal);
+    this.syncFollowState(userData);
+  }
+
+  /**
+   * Add the organizations and social accounts the provider loads
+   * separately to the card. Errors only leave them out.
+   * @param {Object} userData - User data
+   * @param {AbortSignal} signal - Aborted when another profile's sections start loading
+   */
+  async loadDetails(userData, signal) {
+    try {
+      const details = await this.apiService.fetchUserDetails(userData, {
+        signal,
+      });
+      if (!details || signal.aborted) return;
+      if (this.currentUser?.username !== userData.username) return;
+
+      this.currentUser = { ...this.currentUser, ...details };
+      this.viewHistory.add(this.currentUser);
+      this.favorites.refresh(this.currentUser);
+      this.domManager.updateOrgs(this.currentUser);
+      this.domManager.updateSocialAccounts(this.currentUser);
+    } catch (error) {
+      if (signal.aborted) return;
+      console.warn("Could not load organizations and social accounts:", error);
+    }
+  }
+
+  /**
+   * Load the repositories section. Errors are shown inside the section only.
+   * @param {Object} userData - User data
+   * @param {AbortSignal} signal - Aborted when another profile's sections start loading
+   */
+  async loadRepos(userData, signal) {
+    this.reposPanel.showLoading();
+
+    try {
+      const repos = await this.apiService.fetchUserRepos(userData, { signal });
+
+      // The user may have moved on to another profile meanwhile
+      if (signal.aborted) return;
+      this.currentRepos = { username: userData.username, repos };
+      this.reposPanel.render(repos);
+    } catch (error) {
+      if (signal.aborted) return;
+      console.error("Error loading repositories:", error);
+      this.reposPanel.showError(error.message);
+    }
+  }
+
+  /**
+   * Load the recent activity section. Errors are shown inside the section only.
+   * @param {Object} userData - User data
+   * @param {AbortSignal} signal - Aborted when another profile's sections start loading
+   */
+  async loadActivity(userData, signal) {
+    this.activityPanel.showLoading();
+
+    try {
+      const events = await this.apiService.fetchUserEvents(
+        userData,
+        this.activityPanel.getSince(),
+        { signal }
+      );
+
+      if (signal.aborted) return;
+      this.currentActivity = { username: userData.username, events };
+      this.activityPanel.render(events);
+    } catch (error) {
+      if (signal.aborted) return;
+      console.error("Error loading activity:", error);
+      this.activityPanel.showError(error.message);
+    }
+  }
+
+  /**
+   * Open the compare view with the current profile as the first user
+   */
+  openCompare() {
+    this.domManager.showCompareView([
+      this.currentUser ? this.currentUser.username : "",
+      "",
+    ]);
+  }
+
+  /**
+   * Leave the compare view and return to the single profile card
+   */
+  async exitCompare() {
+    if (!this.currentUser) {
+      await this.loadRandomUser();
+      return;
+    }
+
+    // A comparison still loading must not replace the card afterwards
+    this.cancelNavigation();
+    this.domManager.showProfileCard();
+    this.router.navigate(this.router.userPath(this.currentUser.username));
+  }
+
+  /**
+   * Load two profiles and render them side by side
+   * @param {string} firstUsername - First username
+   * @param {string} secondUsername - Second username
+   */
+  async loadComparison(firstUsername, secondUsername) {
+    const usernames = [firstUsername, secondUsername].map((username) =>
+      (username || "").trim()
+    );
+    const signal = this.beginNavigation();
+    this.domManager.showCompareView(usernames);
+
+    if (
+      !usernames.every((username) => this.apiService.isValidUsername(username))
+    ) {
+      this.domManager.showCompareStatus(i18n.t("compare.invalid"), true);
+      this.endNavigation(signal);
+      return;
+    }
+
+    this.domManager.showCompareStatus(i18n.t("compare.loading"));
+
+    try {
+      const users = await Promise.all(
+        usernames.map((username) =>
+          this.apiService.fetchUserData(username, { signal })
+        )
+      );
+      if (signal.aborted) return;
+
+      this.compareUsers = users;
+      this.domManager.renderComparison(users, this.compareProfiles(users));
+      this.router.navigate(
+        `/compare/${users
+          .map((user) => encodeURIComponent(user.username))
+          .join("/")}`
+      );
+    } catch (error) {
+      if (signal.aborted) return;
+      console.error("Error comparing users:", error);
+      this.compareUsers = [];
+      this.domManager.showCompareStatus(error.message, true);
+    } finally {
+      this.endNavigation(signal);
+    }
+  }
+
+  /**
+   * Compare two profiles metric by metric
+   * @param {Array<Object>} users - The two users
+   * @returns {Array<Object>} Rows ({ key, label, values, winner, difference }),
+   *   where winner is the index of the higher value or null on a tie
+   */
+  compareProfiles(users) {
+    const now = Date.now();
+    const metrics = [
+      {
+        key: "followers",
+        label: i18n.t("profile.followers"),
+        getValue: (u) => u.followers,
+      },
+      {
+        key: "following",
+        label: i18n.t("profile.following"),
+        getValue: (u) => u.following,
+      },
+      {
+        key: "publicRepos",
+        label: i18n.t("profile.repositories"),
+        getValue: (u) => u.publicRepos,
+      },
+      {
+        key: "accountAge",
+        label: i18n.t("compare.accountAge"),
+        getValue: (u) => (u.joinDate ? now - new Date(u.joinDate) : null),
+      },
+    ];
+
+    return metrics.map(({ key, label, getValue }) => {
+      const values = users.map(getValue);
+      const comparable =
+        values.every((value) => value !== null && value !== undefined) &&
+        values[0] !== values[1];
+      const winner = comparable ? (values[0] > values[1] ? 0 : 1) : null;
+
+      return {
+        key,
+        label,
+        values,
+        winner,
+        difference: comparable ? Math.abs(values[0] - values[1]) : 0,
+      };
+    });
+  }
+
   /**
    * Load a random user's profile
    */
   async loadRandomUser() {
-    if (this.isLoading) return;
-
-    this.setLoadingState(true);
+    const signal = this.beginNavigation();
     this.domManager.showLoadingState();
 
     try {
-      const userData = await this.apiService.fetchRandomUser();
+      const userData = await this.apiService.fetchRandomUser({ signal });
+      if (signal.aborted) return;
 
-      this.currentUser = userData;
-      this.domManager.displayUserData(userData);
-      this.domManager.showProfileCard();
+      this.showUser(userData);
 
       // Show success notification
-      this.domManager.showNotification(
-        `Loaded profile for ${userData.name}`,
+      this.notifications.notify(
+        i18n.t("profile.loaded", { name: userData.name }),
         "success"
       );
     } catch (error) {
+      // A newer load took over; it reports its own outcome
+      if (signal.aborted) return;
       console.error("Error loading user:", error);
       this.handleError(error);
     } finally {
-      this.setLoadingState(false);
+      this.endNavigation(signal);
     }
   }
 
@@ -109,49 +1121,106 @@ class ProfileCardApp {
    * @param {string} username - GitHub username
    */
   async loadUser(username) {
-    if (this.isLoading) return;
-
-    // Validate username
+    // Validate username inline so the current card stays visible
     if (!this.apiService.isValidUsername(username)) {
-      this.domManager.showErrorState("Please enter a valid username");
+      this.domManager.showSearchError(i18n.t("search.invalidUsername"));
       return;
     }
 
-    this.setLoadingState(true);
+    const signal = this.beginNavigation();
     this.domManager.showLoadingState();
 
     try {
-      const userData = await this.apiService.fetchUserData(username);
+      const userData = await this.apiService.fetchUserData(username, {
+        signal,
+      });
+      if (signal.aborted) return;
 
-      this.currentUser = userData;
-      this.domManager.displayUserData(userData);
-      this.domManager.showProfileCard();
+      this.showUser(userData);
 
-      this.domManager.showNotification(
-        `Loaded profile for ${userData.name}`,
+      this.notifications.notify(
+        i18n.t("profile.loaded", { name: userData.name }),
         "success"
       );
     } catch (error) {
+      if (signal.aborted) return;
       console.error("Error loading user:", error);
       this.handleError(error);
     } finally {
-      this.setLoadingState(false);
+      this.endNavigation(signal);
     }
   }
 
+  /**
+   * Start a profile load, cancelling the one in flight so the latest
+   * request wins
+   * @returns {AbortSignal} Aborted when a newer load starts
+   */
+  beginNavigation() {
+    this.navigationCount += 1;
+    this.navigationController?.abort();
+    this.navigationController = new AbortController();
+    this.setLoadingState(true);
+    return this.navigationController.signal;
+  }
+
+  /**
+   * Check if the latest load is the one for the URL the page opened with.
+   * Its result leaves focus at the top of the page; loads the user asked
+   * for later move focus to the card or the error's retry button.
+   * @returns {boolean} True during and after the startup load, until another starts
+   */
+  isStartupLoad() {
+    return this.navigationCount <= 1;
+  }
+
+  /**
+   * Finish a profile load, unless a newer one has taken over
+   * @param {AbortSignal} signal - Signal from beginNavigation()
+   */
+  endNavigation(signal) {
+    if (signal.aborted) return;
+
+    this.setLoadingState(false);
+    this.domManager.removeRefreshButtonLoading();
+  }
+
+  /**
+   * Abort the profile load in flight
+   */
+  cancelNavigation() {
+    if (!this.navigationController) return;
+
+    this.navigationController.abort();
+    this.navigationController = null;
+    this.setLoadingState(false);
+    this.domManager.removeRefreshButtonLoading();
+  }
+
   /**
    * Handle errors with appropriate user feedback
    * @param {Error} error - Error object
    */
   handleError(error) {
-    let errorMessage = "An unexpected error occurred. Please try again.";
+    let errorMessage = i18n.t("errors.unexpected");
 
     if (error.message) {
       errorMessage = error.message;
     }
 
     this.domManager.showErrorState(errorMessage);
-    this.domManager.showNotification(errorMessage, "error");
+    this.domManager.toggleBackButton(this.router.canGoBack());
+    if (error instanceof RateLimitError) {
+      this.domManager.showErrorCountdown(error.resetAt);
+    }
+    if (error instanceof AuthError) {
+      this.domManager.updateAuthIndicator({ status: "invalid" });
+    }
+    if (!this.isStartupLoad()) {
+      this.domManager.focusErrorAction();
+    }
+    // The error state already shows the message; just keep it in the history
+    this.notifications.notify(errorMessage, "error", { toast: false });
   }
 
   /**
@@ -180,26 +1249,141 @@ class ProfileCardApp {
 
   /**
    * Refresh current user data
+   * @param {Object} options - Refresh options
+   * @param {boolean} options.quiet - Background refresh: only the card is
+   *   updated, without a toast, and a failure leaves the card as it was
    */
-  async refreshCurrentUser() {
+  async refreshCurrentUser({ quiet = false } = {}) {
     if (!this.currentUser) {
-      await this.loadRandomUser();
+      if (!quiet) {
+        await this.loadRandomUser();
+      }
       return;
     }
 
+    const previous = this.currentUser;
+    const signal = this.beginNavigation();
     try {
-      const userData = await this.apiService.fetchUserData(
-        this.currentUser.username
-      );
+      let userData = await this.apiService.fetchUserData(previous.username, {
+        forceRefresh: true,
+        signal,
+      });
+      if (signal.aborted) return;
+
+      // Keep the separately loaded extras; loadDetails() renews them, which
+      // quiet refreshes skip to spare the API quota
+      if (this.apiService.provider.hasDetails) {
+        userData = {
+          ...userData,
+          orgs: previous.orgs,
+          socialAccounts: previous.socialAccounts,
+        };
+      }
+
       this.currentUser = userData;
+      this.viewHistory.add(userData);
+      this.renderViewHistory();
+      this.favorites.refresh(userData);
       this.domManager.displayUserData(userData);
-      this.domManager.showNotification(
-        "Profile refreshed successfully!",
-        "success"
-      );
+      this.autoRefresh.schedule();
+      if (quiet) return;
+
+      this.loadProfileSections(userData);
+      this.notifications.notify(i18n.t("profile.refreshed"), "success");
     } catch (error) {
+      if (signal.aborted) return;
+      if (quiet) {
+        console.warn("Auto-refresh failed:", error);
+        return;
+      }
       this.handleError(error);
+    } finally {
+      this.endNavigation(signal);
+    }
+  }
+
+  /**
+   * Refresh the displayed profile in the background. Skipped while another
+   * load is in flight or the card isn't showing (errors, compare view).
+   */
+  async handleAutoRefresh() {
+    if (this.isLoading || !this.domManager.isProfileCardVisible()) return;
+
+    await this.refreshCurrentUser({ quiet: true });
+  }
+
+  /**
+   * Turn auto-refresh on or off from the header toggle
+   */
+  handleAutoRefreshToggle() {
+    const enabled = !this.autoRefresh.isEnabled();
+    this.autoRefresh.setEnabled(enabled);
+    this.updateAutoRefreshButton();
+    this.notifications.notify(
+      enabled
+        ? i18n.t("autoRefresh.enabled", {
+            interval: this.formatAutoRefreshInterval(),
+          })
+        : i18n.t("autoRefresh.disabled"),
+      "info"
+    );
+  }
+
+  /**
+   * Reflect the auto-refresh setting in the header toggle
+   */
+  updateAutoRefreshButton() {
+    this.domManager.updateAutoRefreshButton(
+      this.autoRefresh.isEnabled(),
+      this.formatAutoRefreshInterval()
+    );
+  }
+
+  /**
+   * Describe the auto-refresh interval in the current language
+   * @returns {string} Interval, e.g. "5 minutes"
+   */
+  formatAutoRefreshInterval() {
+    return i18n.t("duration.minutes", {
+      count: Math.round(this.autoRefresh.interval / 60000),
+    });
+  }
+
+  /**
+   * Pause auto-refresh while the tab is hidden and catch up when it's back
+   * @param {boolean} hidden - Whether the page is hidden
+   */
+  handleVisibilityChange(hidden) {
+    if (hidden) {
+      this.autoRefresh.pause();
+    } else {
+      this.autoRefresh.resume();
+    }
+  }
+
+  /**
+   * Revalidate the displayed profile once the connection is back, replacing
+   * any offline copy, and resume auto-refresh. A load the user started
+   * meanwhile is left alone; if nothing loaded while offline, the URL's
+   * route is tried again.
+   */
+  async handleOnline() {
+    if (!this.isLoading) {
+      if (this.currentUser) {
+        await this.refreshCurrentUser({ quiet: true });
+      } else {
+        this.router.resolve(this.router.getPath());
+      }
     }
+    this.autoRefresh.resume();
+  }
+
+  /**
+   * Pause auto-refresh until the connection is back
+   */
+  handleOffline() {
+    this.autoRefresh.pause();
+    this.notifications.notify(i18n.t("errors.connectionLost"), "error");
   }
 
   /**
@@ -209,10 +1393,29 @@ class ProfileCardApp {
   getStats() {
     return {
       currentUser: this.currentUser ? this.currentUser.username : null,
+      following: this.followStore.getAll().length,
+      favorites: this.favorites.getAll().length,
+      autoRefresh: {
+        enabled: this.autoRefresh.isEnabled(),
+        interval: this.autoRefresh.interval,
+        dueAt: this.autoRefresh.dueAt,
+      },
+      compareUsers: this.compareUsers.map((user) => user.username),
+      history: {
+        usernames: this.viewHistory.getAll().map((user) => user.username),
+        position: this.viewHistory.index,
+      },
       isLoading: this.isLoading,
+      authenticated: this.apiService.isAuthenticated(),
+      theme: this.themeManager.getActiveTheme().id,
+      locale: i18n.getLocale(),
       apiService: {
-        baseUrl: this.apiService.baseUrl,
-        availableUsernames: this.apiService.usernames.length,
+        provider: this.apiService.provider.id,
+        apiRoot: this.apiService.provider.apiRoot,
+        availableUsernames: this.apiService.randomPool.size(),
+        cachedResponses: this.apiService.cache.size(),
+        cacheTtl: this.apiService.cache.ttl,
+        rateLimit: this.apiService.getRateLimit(),
       },
     };
   }
@@ -221,8 +1424,20 @@ class ProfileCardApp {
    * Clean up resources
    */
   destroy() {
+    this.router.stop();
+    this.autoRefresh.stop();
+    this.cancelNavigation();
+    this.sectionsController?.abort();
+    this.searchController?.abort();
+    this.messageComposer.cleanup();
+    this.keyboardShortcuts.destroy();
+    this.notifications.cleanup();
+    this.themeManager.destroy();
+    this.removeLocaleListener();
+    clearTimeout(this.searchTimeout);
     this.domManager.cleanup();
     this.currentUser = null;
+    this.compareUsers = [];
     this.isLoading = false;
   }
 }
@@ -235,12 +1450,13 @@ let appInstance = null;
 
 /**
  * Initialize the application
+ * @param {Object} options - App options (see ProfileCardApp)
  */
-function initializeApp() {
+function initializeApp(options = {}) {
   if (appInstance) {
     appInstance.destroy();
   }
-  appInstance = new ProfileCardApp();
+  appInstance = new ProfileCardApp(options);
   return appInstance;
 }
 
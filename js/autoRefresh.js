@@ -0,0 +1,117 @@
+// Auto Refresh - Opt-in timer that refreshes the displayed profile, paused while hidden or offline
+class AutoRefresh {
+  /**
+   * @param {Object} options - Auto-refresh options
+   * @param {Function} options.onRefresh - Refreshes the displayed profile; may return a promise
+   * @param {number} options.interval - ms between refreshes, at least one minute
+   * @param {boolean} options.enabled - Whether it's on until the user toggles it
+   */
+  constructor({ onRefresh, interval = 5 * 60 * 1000, enabled = false } = {}) {
+    this.storageKey = "profileCard:autoRefresh";
+    this.onRefresh = onRefresh || (() => {});
+    // Keeps anonymous clients well inside the API rate limit
+    this.interval = Math.max(interval, AutoRefresh.minInterval);
+    this.defaultEnabled = Boolean(enabled);
+    this.timer = null;
+    this.dueAt = null; // When the next refresh is due, kept while paused
+    this.running = false; // A refresh from this timer is in flight
+  }
+
+  /**
+   * Check if auto-refresh is on, from the stored choice or the default
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    let stored = null;
+    try {
+      stored = window.localStorage.getItem(this.storageKey);
+    } catch (error) {
+      // Storage can be unavailable (e.g. privacy mode); use the default
+    }
+    return stored === null ? this.defaultEnabled : stored === "on";
+  }
+
+  /**
+   * Store the user's choice and start or stop the timer
+   * @param {boolean} enabled - Turn auto-refresh on
+   */
+  setEnabled(enabled) {
+    try {
+      window.localStorage.setItem(this.storageKey, enabled ? "on" : "off");
+    } catch (error) {
+      console.warn("Failed to save auto-refresh setting:", error);
+    }
+
+    if (enabled) {
+      this.schedule();
+    } else {
+      this.stop();
+    }
+  }
+
+  /**
+   * Start a full interval from now, e.g. after a profile was loaded
+   */
+  schedule() {
+    this.stop();
+    if (!this.isEnabled()) return;
+
+    this.dueAt = Date.now() + this.interval;
+    this.resume();
+  }
+
+  /**
+   * Stop the timer until it is resumed; the due time is kept
+   */
+  pause() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Continue after a pause. A refresh that fell due meanwhile runs now.
+   */
+  resume() {
+    if (this.timer || this.running || !this.isEnabled()) return;
+    if (document.hidden || !navigator.onLine) return;
+
+    if (this.dueAt === null) {
+      this.dueAt = Date.now() + this.interval;
+    }
+    this.timer = setTimeout(
+      () => this.run(),
+      Math.max(this.dueAt - Date.now(), 0)
+    );
+  }
+
+  /**
+   * Stop the timer and forget the due time
+   */
+  stop() {
+    this.pause();
+    this.dueAt = null;
+  }
+
+  /**
+   * Refresh, then wait a full interval before the next one. Waiting for the
+   * refresh to finish keeps a slow request from overlapping the next.
+   */
+  async run() {
+    this.timer = null;
+    this.running = true;
+    try {
+      await this.onRefresh();
+    } catch (error) {
+      console.warn("Auto-refresh failed:", error);
+    } finally {
+      this.running = false;
+    }
+    this.schedule();
+  }
+}
+
+// Shortest allowed interval, in ms
+AutoRefresh.minInterval = 60 * 1000;
+
+// Export for use in other modules
+window.AutoRefresh = AutoRefresh;
@@ -1,8 +1,26 @@
 // DOM Manager - Handles all DOM manipulation and UI operations
 class DomManager {
-  constructor() {
+  /**
+   * @param {Document|ShadowRoot} root - Where to look up elements; a shadow
+   *   root lets several cards (see ProfileCardElement) reuse this rendering
+   */
+  constructor(root = document) {
+    this.root = root;
     this.elements = this.initializeElements();
     this.animations = new Map(); // Track active animations
+    this.searchSuggestions = []; // Users currently listed in the dropdown
+    this.activeSuggestionIndex = -1;
+    this.countdownTimer = null; // Rate-limit reset countdown interval
+    this.authState = null; // Last auth indicator state, re-rendered on language change
+    this.lastAnnouncement = { message: "", at: 0 };
+    // Stats on the card ({ username, followers, following, publicRepos }),
+    // so a refresh of the same profile animates from them
+    this.displayedStats = null;
+    this.deltaTimers = new Map(); // Hide timers of the stat change badges
+    this.statDeltaDuration = 10000;
+    this.reducedMotionQuery = window.matchMedia
+      ? window.matchMedia("(prefers-reduced-motion: reduce)")
+      : null;
   }
 
   /**
@@ -12,32 +30,96 @@ class DomManager {
   initializeElements() {
     return {
       // State containers
-      loadingState: document.getElementById("loadingState"),
-      errorState: document.getElementById("errorState"),
-      profileCard: document.getElementById("profileCard"),
+      loadingState: this.root.getElementById("loadingState"),
+      errorState: this.root.getElementById("errorState"),
+      profileCard: this.root.getElementById("profileCard"),
+      compareView: this.root.getElementById("compareView"),
 
       // Action buttons
-      refreshBtn: document.getElementById("refreshBtn"),
-      retryBtn: document.getElementById("retryBtn"),
-      followBtn: document.getElementById("followBtn"),
-      messageBtn: document.getElementById("messageBtn"),
+      refreshBtn: this.root.getElementById("refreshBtn"),
+      autoRefreshBtn: this.root.getElementById("autoRefreshBtn"),
+      retryBtn: this.root.getElementById("retryBtn"),
+      backBtn: this.root.getElementById("backBtn"),
+      followBtn: this.root.getElementById("followBtn"),
+      messageBtn: this.root.getElementById("messageBtn"),
+      favoriteBtn: this.root.getElementById("favoriteBtn"),
+      compareBtn: this.root.getElementById("compareBtn"),
+      exportBtn: this.root.getElementById("exportBtn"),
+      exportMenu: this.root.getElementById("exportMenu"),
+      exitCompareBtn: this.root.getElementById("exitCompareBtn"),
+
+      // Compare view
+      compareForm: this.root.getElementById("compareForm"),
+      compareUserA: this.root.getElementById("compareUserA"),
+      compareUserB: this.root.getElementById("compareUserB"),
+      compareStatus: this.root.getElementById("compareStatus"),
+      compareCards: this.root.getElementById("compareCards"),
+      compareCardTemplate: this.root.getElementById("compareCardTemplate"),
 
       // Error display
-      errorMessage: document.getElementById("errorMessage"),
+      errorMessage: this.root.getElementById("errorMessage"),
+      errorCountdown: this.root.getElementById("errorCountdown"),
+
+      // Screen reader live regions
+      politeAnnouncer: this.root.getElementById("politeAnnouncer"),
+      assertiveAnnouncer: this.root.getElementById("assertiveAnnouncer"),
+
+      // Search box
+      searchForm: this.root.getElementById("searchForm"),
+      searchInput: this.root.getElementById("searchInput"),
+      searchSuggestions: this.root.getElementById("searchSuggestions"),
+      searchError: this.root.getElementById("searchError"),
+
+      // Authentication
+      authBtn: this.root.getElementById("authBtn"),
+      authStatus: this.root.getElementById("authStatus"),
+      authPanel: this.root.getElementById("authPanel"),
+      authForm: this.root.getElementById("authForm"),
+      tokenInput: this.root.getElementById("tokenInput"),
+      signOutBtn: this.root.getElementById("signOutBtn"),
+      authError: this.root.getElementById("authError"),
+
+      // Theme and language switchers
+      themeSelect: this.root.getElementById("themeSelect"),
+      localeSelect: this.root.getElementById("localeSelect"),
+
+      // Following list
+      followingBtn: this.root.getElementById("followingBtn"),
+      followingListCount: this.root.getElementById("followingListCount"),
+      followingPanel: this.root.getElementById("followingPanel"),
+      followingList: this.root.getElementById("followingList"),
+      followingEmpty: this.root.getElementById("followingEmpty"),
+
+      // Favorites
+      favoritesBtn: this.root.getElementById("favoritesBtn"),
+      favoritesCount: this.root.getElementById("favoritesCount"),
+      favoritesPanel: this.root.getElementById("favoritesPanel"),
+
+      // Recently viewed strip
+      viewHistory: this.root.getElementById("viewHistory"),
+      viewHistoryList: this.root.getElementById("viewHistoryList"),
+      viewHistoryPrevBtn: this.root.getElementById("viewHistoryPrevBtn"),
+      viewHistoryNextBtn: this.root.getElementById("viewHistoryNextBtn"),
+      clearViewHistoryBtn: this.root.getElementById("clearViewHistoryBtn"),
 
       // Profile data elements
-      userAvatar: document.getElementById("userAvatar"),
-      userName: document.getElementById("userName"),
-      userTitle: document.getElementById("userTitle"),
-      userLocation: document.getElementById("userLocation"),
-      followersCount: document.getElementById("followersCount"),
-      followingCount: document.getElementById("followingCount"),
-      reposCount: document.getElementById("reposCount"),
-      userEmail: document.getElementById("userEmail"),
-      userCompany: document.getElementById("userCompany"),
-      userWebsite: document.getElementById("userWebsite"),
-      userJoinDate: document.getElementById("userJoinDate"),
-      userBio: document.getElementById("userBio"),
+      userAvatar: this.root.getElementById("userAvatar"),
+      userName: this.root.getElementById("userName"),
+      userTitle: this.root.getElementById("userTitle"),
+      userLocation: this.root.getElementById("userLocation"),
+      userSource: this.root.getElementById("userSource"),
+      cachedBadge: this.root.getElementById("cachedBadge"),
+      userOrgs: this.root.getElementById("userOrgs"),
+      followersCount: this.root.getElementById("followersCount"),
+      followingCount: this.root.getElementById("followingCount"),
+      reposCount: this.root.getElementById("reposCount"),
+      userEmail: this.root.getElementById("userEmail"),
+      userCompany: this.root.getElementById("userCompany"),
+      userWebsite: this.root.getElementById("userWebsite"),
+      userSocialItem: this.root.getElementById("userSocialItem"),
+      userSocial: this.root.getElementById("userSocial"),
+      userJoinDate: this.root.getElementById("userJoinDate"),
+      userBio: this.root.getElementById("userBio"),
     };
   }
 
@@ -49,14 +131,198 @@ class DomManager {
     // Refresh button
     this.elements.refreshBtn?.addEventListener("click", callbacks.onRefresh);
 
+    // Auto-refresh toggle
+    this.elements.autoRefreshBtn?.addEventListener(
+      "click",
+      callbacks.onAutoRefreshToggle
+    );
+
     // Retry button
     this.elements.retryBtn?.addEventListener("click", callbacks.onRetry);
 
+    // Back button (error state)
+    this.elements.backBtn?.addEventListener("click", callbacks.onBack);
+
     // Follow button
     this.elements.followBtn?.addEventListener("click", callbacks.onFollow);
 
+    // Favorite button
+    this.elements.favoriteBtn?.addEventListener("click", callbacks.onFavorite);
+
     // Message button
     this.elements.messageBtn?.addEventListener("click", callbacks.onMessage);
+
+    // Export menu
+    this.bindExportEvents(callbacks);
+
+    // Following list
+    this.elements.followingBtn?.addEventListener("click", () =>
+      this.toggleFollowingPanel()
+    );
+    this.elements.followingList?.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-action]");
+      if (!button) return;
+
+      if (button.dataset.action === "open") {
+        this.toggleFollowingPanel(false);
+        callbacks.onFollowingSelect(button.dataset.username);
+      } else {
+        callbacks.onFollowingRemove(button.dataset.username);
+      }
+    });
+
+    // Favorites panel
+    this.elements.favoritesBtn?.addEventListener("click", () =>
+      this.toggleFavoritesPanel()
+    );
+
+    // Recently viewed strip
+    this.elements.viewHistoryPrevBtn?.addEventListener("click", () =>
+      callbacks.onHistoryStep(-1)
+    );
+    this.elements.viewHistoryNextBtn?.addEventListener("click", () =>
+      callbacks.onHistoryStep(1)
+    );
+    this.elements.viewHistoryList?.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-index]");
+      if (button) {
+        callbacks.onHistorySelect(Number(button.dataset.index));
+      }
+    });
+    this.elements.clearViewHistoryBtn?.addEventListener(
+      "click",
+      callbacks.onHistoryClear
+    );
+
+    // Compare view
+    this.elements.compareBtn?.addEventListener("click", callbacks.onCompare);
+    this.elements.exitCompareBtn?.addEventListener(
+      "click",
+      callbacks.onExitCompare
+    );
+    this.elements.compareForm?.addEventListener("submit", (event) => {
+      event.preventDefault();
+      callbacks.onCompareSubmit(
+        this.elements.compareUserA.value,
+        this.elements.compareUserB.value
+      );
+    });
+
+    // Search box
+    this.bindSearchEvents(callbacks);
+
+    // Authentication panel
+    this.elements.authBtn?.addEventListener("click", () =>
+      this.toggleAuthPanel()
+    );
+    this.elements.authForm?.addEventListener("submit", (event) => {
+      event.preventDefault();
+      callbacks.onSignIn(this.elements.tokenInput.value);
+    });
+    this.elements.signOutBtn?.addEventListener("click", callbacks.onSignOut);
+
+    // Theme switcher
+    this.elements.themeSelect?.addEventListener("change", (event) =>
+      callbacks.onThemeChange(event.target.value)
+    );
+
+    // Language picker
+    this.elements.localeSelect?.addEventListener("change", (event) =>
+      callbacks.onLocaleChange(event.target.value)
+    );
+  }
+
+  /**
+   * Bind the export menu button, items and keyboard handling
+   * @param {Object} callbacks - Object containing callback functions
+   */
+  bindExportEvents(callbacks) {
+    const { exportBtn, exportMenu } = this.elements;
+    if (!exportBtn || !exportMenu) return;
+
+    exportBtn.addEventListener("click", () => this.toggleExportMenu());
+
+    exportMenu.addEventListener("click", (event) => {
+      const item = event.target.closest("[data-format]");
+      if (!item) return;
+
+      this.toggleExportMenu(false);
+      callbacks.onExport(item.dataset.format);
+    });
+
+    exportMenu.parentElement.addEventListener("keydown", (event) => {
+      const items = [...exportMenu.querySelectorAll("[role='menuitem']")];
+      const index = items.indexOf(document.activeElement);
+
+      if (event.key === "Escape") {
+        this.toggleExportMenu(false);
+        exportBtn.focus();
+      } else if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        if (exportMenu.classList.contains("hidden")) {
+          this.toggleExportMenu(true);
+        }
+        const step = event.key === "ArrowDown" ? 1 : -1;
+        items[(index + step + items.length) % items.length].focus();
+      }
+    });
+
+    // Close when focus moves anywhere outside the button and menu
+    exportMenu.parentElement.addEventListener("focusout", (event) => {
+      if (!exportMenu.parentElement.contains(event.relatedTarget)) {
+        this.toggleExportMenu(false);
+      }
+    });
+  }
+
+  /**
+   * Bind search input, keyboard navigation and suggestion selection
+   * @param {Object} callbacks - Object containing callback functions
+   */
+  bindSearchEvents(callbacks) {
+    const { searchForm, searchInput, searchSuggestions } = this.elements;
+    if (!searchForm || !searchInput || !searchSuggestions) return;
+
+    searchInput.addEventListener("input", () => {
+      this.clearSearchError();
+      callbacks.onSearchInput(searchInput.value);
+    });
+
+    searchInput.addEventListener("keydown", (event) => {
+      switch (event.key) {
+        case "ArrowDown":
+          event.preventDefault();
+          this.moveSuggestionHighlight(1);
+          break;
+        case "ArrowUp":
+          event.preventDefault();
+          this.moveSuggestionHighlight(-1);
+          break;
+        case "Escape":
+          this.hideSearchSuggestions();
+          break;
+      }
+    });
+
+    searchForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const active = this.searchSuggestions[this.activeSuggestionIndex];
+      callbacks.onSearchSubmit(active ? active.username : searchInput.value);
+    });
+
+    // Keep focus in the input so blur doesn't close the list before click
+    searchSuggestions.addEventListener("mousedown", (event) => {
+      event.preventDefault();
+    });
+
+    searchSuggestions.addEventListener("click", (event) => {
+      const option = event.target.closest("[data-username]");
+      if (option) {
+        callbacks.onSearchSubmit(option.dataset.username);
+      }
+    });
+
+    searchInput.addEventListener("blur", () => this.hideSearchSuggestions());
   }
 
   /**
@@ -68,7 +334,6 @@ class DomManager {
     this.updateStats(userData);
     this.updateDetails(userData);
     this.updateBio(userData);
-    this.updateFollowButton();
   }
 
   /**
@@ -77,20 +342,178 @@ class DomManager {
    */
   updateBasicInfo(userData) {
     this.elements.userAvatar.src = userData.avatar;
-    this.elements.userAvatar.alt = `${userData.name}'s avatar`;
+    this.elements.userAvatar.alt = i18n.t("profile.avatarOf", {
+      name: userData.name,
+    });
     this.elements.userName.textContent = userData.name;
     this.elements.userTitle.textContent = `@${userData.username}`;
-    this.elements.userLocation.textContent = userData.location;
+    this.elements.userLocation.textContent =
+      userData.location || i18n.t("profile.noLocation");
+    this.updateSource(userData);
+    this.updateCachedBadge(userData);
+    this.updateOrgs(userData);
+  }
+
+  /**
+   * Show which provider a profile came from, linking to it there
+   * @param {Object} userData - User data object
+   */
+  updateSource(userData) {
+    const { userSource } = this.elements;
+    if (!userSource || !userData.source) return;
+
+    userSource.textContent = userData.source.name;
+    userSource.dataset.provider = userData.source.id;
+    userSource.title = i18n.t("profile.viewOn", {
+      provider: userData.source.name,
+    });
+    if (userData.htmlUrl) {
+      userSource.href = userData.htmlUrl;
+    } else {
+      userSource.removeAttribute("href");
+    }
+  }
+
+  /**
+   * Mark a profile served from an offline copy with the time it was saved
+   * @param {Object} userData - User data object
+   */
+  updateCachedBadge(userData) {
+    const { cachedBadge } = this.elements;
+    if (!cachedBadge) return;
+
+    cachedBadge.classList.toggle("hidden", !userData.cachedAt);
+    if (!userData.cachedAt) return;
+
+    cachedBadge.textContent = i18n.t("profile.cachedAt", {
+      time: i18n.formatDate(userData.cachedAt, {
+        dateStyle: "medium",
+        timeStyle: "short",
+      }),
+    });
+    cachedBadge.title = i18n.t("profile.cachedHint");
   }
 
   /**
-   * Update user statistics with animation
+   * Label provider-specific controls with the provider's name
+   * @param {string} providerName - Display name, e.g. "GitHub"
+   */
+  setProviderName(providerName) {
+    this.elements.searchInput?.setAttribute(
+      "aria-label",
+      i18n.t("search.label", { provider: providerName })
+    );
+    const title = this.root.getElementById("authPanelTitle");
+    if (title) {
+      title.textContent = i18n.t("auth.title", { provider: providerName });
+    }
+  }
+
+  /**
+   * Update user statistics with animation. Showing the same profile again
+   * counts from the values already on the card and marks each change with
+   * a +N/−N badge; another profile counts up from zero.
    * @param {Object} userData - User data object
    */
   updateStats(userData) {
-    this.animateNumber(this.elements.followersCount, userData.followers);
-    this.animateNumber(this.elements.followingCount, userData.following);
-    this.animateNumber(this.elements.reposCount, userData.publicRepos);
+    const previous =
+      this.displayedStats &&
+      this.displayedStats.username.toLowerCase() ===
+        userData.username.toLowerCase()
+        ? this.displayedStats
+        : null;
+    this.displayedStats = {
+      username: userData.username,
+      followers: userData.followers,
+      following: userData.following,
+      publicRepos: userData.publicRepos,
+    };
+
+    const stats = [
+      ["followers", this.elements.followersCount, "profile.followers"],
+      ["following", this.elements.followingCount, "profile.following"],
+      ["publicRepos", this.elements.reposCount, "profile.repositories"],
+    ];
+    const changes = [];
+
+    stats.forEach(([key, element, label]) => {
+      const value = userData[key];
+      const from = previous ? previous[key] : null;
+
+      // Some providers don't report a repository count
+      if (value === null) {
+        this.cancelAnimation(element);
+        element.textContent = "–";
+        this.hideStatDelta(element);
+        return;
+      }
+
+      this.animateNumber(element, value, from ?? 0);
+      if (!previous) {
+        this.hideStatDelta(element);
+      } else if (from !== null && value !== from) {
+        this.showStatDelta(element, value - from);
+        changes.push(
+          i18n.t("profile.statChange", {
+            stat: i18n.t(label),
+            delta: this.formatDelta(value - from),
+          })
+        );
+      }
+    });
+
+    if (changes.length > 0) {
+      this.announce(
+        i18n.t("profile.statsChanged", { changes: changes.join(", ") })
+      );
+    }
+  }
+
+  /**
+   * Show how much a stat changed next to it, for statDeltaDuration ms
+   * @param {HTMLElement} element - Stat number element
+   * @param {number} delta - Change since the last display
+   */
+  showStatDelta(element, delta) {
+    let badge = element.parentElement.querySelector(".stat-delta");
+    if (!badge) {
+      badge = document.createElement("span");
+      badge.className = "stat-delta";
+      // The change is announced once for all stats instead
+      badge.setAttribute("aria-hidden", "true");
+      // Last in the item, so the number is still followed by its label
+      element.parentElement.appendChild(badge);
+    }
+
+    badge.textContent = this.formatDelta(delta);
+    badge.classList.toggle("up", delta > 0);
+    badge.classList.toggle("down", delta < 0);
+    badge.classList.remove("hidden");
+
+    clearTimeout(this.deltaTimers.get(element));
+    this.deltaTimers.set(
+      element,
+      setTimeout(() => this.hideStatDelta(element), this.statDeltaDuration)
+    );
+  }
+
+  /**
+   * Hide a stat's change badge
+   * @param {HTMLElement} element - Stat number element
+   */
+  hideStatDelta(element) {
+    clearTimeout(this.deltaTimers.get(element));
+    this.deltaTimers.delete(element);
+    element.parentElement.querySelector(".stat-delta")?.classList.add("hidden");
+  }
+
+  /**
+   * Format a change with its sign, e.g. +3 or −1.2K
+   * @param {number} delta - Change
+   * @returns {string} Signed, compact number
+   */
+  formatDelta(delta) {
+    return `${delta > 0 ? "+" : "−"}${this.formatNumber(Math.abs(delta))}`;
   }
 
   /**
@@ -99,14 +522,19 @@ class DomManager {
    */
   updateDetails(userData) {
     // Email
-    this.elements.userEmail.textContent = userData.email || "Not available";
+    this.elements.userEmail.textContent =
+      userData.email || i18n.t("profile.notAvailable");
 
     // Company
-    this.elements.userCompany.textContent = userData.company || "Not specified";
+    this.elements.userCompany.textContent =
+      userData.company || i18n.t("profile.notSpecified");
 
     // Website
     this.updateWebsite(userData.blog);
 
+    // Social accounts
+    this.updateSocialAccounts(userData);
+
     // Join date
     this.updateJoinDate(userData.joinDate);
   }
@@ -123,19 +551,136 @@ class DomManager {
         : `https://${blog}`;
       this.elements.userWebsite.style.display = "inline";
     } else {
-      this.elements.userWebsite.textContent = "Not available";
+      this.elements.userWebsite.textContent = i18n.t("profile.notAvailable");
       this.elements.userWebsite.href = "#";
       this.elements.userWebsite.style.display = "none";
     }
   }
 
+  /**
+   * Show the user's organizations as linked avatar badges
+   * @param {Object} userData - User data object
+   */
+  updateOrgs(userData) {
+    const { userOrgs } = this.elements;
+    if (!userOrgs) return;
+
+    const orgs = userData.orgs || [];
+    userOrgs.classList.toggle("hidden", orgs.length === 0);
+    userOrgs.replaceChildren(
+      ...orgs.map((org) => {
+        const item = document.createElement("li");
+
+        // Without a web link the badge is just the avatar
+        const badge = document.createElement(org.htmlUrl ? "a" : "span");
+        badge.className = "org-badge";
+        if (org.htmlUrl) {
+          badge.href = org.htmlUrl;
+          badge.target = "_blank";
+          badge.rel = "noopener noreferrer";
+        } else {
+          badge.setAttribute("role", "img");
+        }
+        badge.title = org.name;
+        badge.setAttribute(
+          "aria-label",
+          i18n.t("profile.organization", { name: org.name })
+        );
+
+        const avatar = document.createElement("img");
+        avatar.className = "org-avatar";
+        avatar.src = org.avatar;
+        avatar.alt = "";
+
+        badge.appendChild(avatar);
+        item.appendChild(badge);
+        return item;
+      })
+    );
+  }
+
+  /**
+   * List linked social accounts with their provider's icon
+   * @param {Object} userData - User data object
+   */
+  updateSocialAccounts(userData) {
+    const { userSocialItem, userSocial } = this.elements;
+    if (!userSocial) return;
+
+    const accounts = userData.socialAccounts || [];
+    userSocialItem?.classList.toggle("hidden", accounts.length === 0);
+    userSocial.replaceChildren(
+      ...accounts.map((account) => {
+        const providerName =
+          DomManager.socialProviders[account.provider]?.name ||
+          i18n.t("profile.socialOther");
+
+        const item = document.createElement("li");
+
+        const link = document.createElement("a");
+        link.className = "social-link";
+        link.href = account.url;
+        link.target = "_blank";
+        link.rel = "noopener noreferrer me";
+        link.title = providerName;
+        link.setAttribute(
+          "aria-label",
+          i18n.t("profile.socialAccount", {
+            provider: providerName,
+            label: account.label,
+          })
+        );
+
+        const label = document.createElement("span");
+        label.textContent = account.label;
+
+        link.append(this.createSocialIcon(account.provider), label);
+        item.appendChild(link);
+        return item;
+      })
+    );
+  }
+
+  /**
+   * Build a provider's icon, falling back to a generic link icon
+   * @param {string} provider - Social provider id, e.g. "twitter"
+   * @returns {SVGElement} Decorative 16px icon
+   */
+  createSocialIcon(provider) {
+    const { icon } =
+      DomManager.socialProviders[provider] ||
+      DomManager.socialProviders.generic;
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("class", "social-icon");
+    svg.setAttribute("viewBox", "0 0 24 24");
+    svg.setAttribute("width", "16");
+    svg.setAttribute("height", "16");
+    svg.setAttribute("fill", "none");
+    svg.setAttribute("stroke", "currentColor");
+    svg.setAttribute("stroke-width", "2");
+    svg.setAttribute("stroke-linecap", "round");
+    svg.setAttribute("stroke-linejoin", "round");
+    svg.setAttribute("aria-hidden", "true");
+    // Static markup from socialProviders, never user data
+    svg.innerHTML = icon;
+    return svg;
+  }
+
   /**
    * Update join date with proper formatting
    * @param {string} joinDate - ISO date string
    */
   updateJoinDate(joinDate) {
-    const date = new Date(joinDate);
-    this.elements.userJoinDate.textContent = date.toLocaleDateString("en-US", {
+    this.elements.userJoinDate.textContent = this.formatJoinDate(joinDate);
+  }
+
+  /**
+   * Format a join date for display in the current language
+   * @param {string} joinDate - ISO date string
+   * @returns {string} Formatted date
+   */
+  formatJoinDate(joinDate) {
+    return i18n.formatDate(joinDate, {
       year: "numeric",
       month: "long",
       day: "numeric",
@@ -147,23 +692,26 @@ class DomManager {
    * @param {Object} userData - User data object
    */
   updateBio(userData) {
-    this.elements.userBio.textContent = userData.bio;
+    this.elements.userBio.textContent = userData.bio || i18n.t("profile.noBio");
   }
 
   /**
    * Animate number counting effect
    * @param {HTMLElement} element - Element to animate
    * @param {number} targetNumber - Target number to count to
+   * @param {number} startNumber - Number to count from
    */
-  animateNumber(element, targetNumber) {
+  animateNumber(element, targetNumber, startNumber = 0) {
     const animationId = `number-${Date.now()}-${Math.random()}`;
 
     // Cancel existing animation for this element
-    if (this.animations.has(element)) {
-      cancelAnimationFrame(this.animations.get(element));
+    this.cancelAnimation(element);
+
+    if (this.prefersReducedMotion() || startNumber === targetNumber) {
+      element.textContent = this.formatNumber(targetNumber);
+      return;
     }
 
-    const startNumber = 0;
     const duration = 1000; // 1 second
     const startTime = performance.now();
 
@@ -193,51 +741,610 @@ class DomManager {
   }
 
   /**
-   * Format numbers with K/M suffixes
+   * Check if the user has asked the OS for less motion
+   * @returns {boolean} True if animations should be skipped
+   */
+  prefersReducedMotion() {
+    return Boolean(this.reducedMotionQuery?.matches);
+  }
+
+  /**
+   * Cancel a running number animation
+   * @param {HTMLElement} element - Animated element
+   */
+  cancelAnimation(element) {
+    if (this.animations.has(element)) {
+      cancelAnimationFrame(this.animations.get(element));
+      this.animations.delete(element);
+    }
+  }
+
+  /**
+   * Format numbers in the current language's compact form (1.2K, 1,2 mil)
    * @param {number} num - Number to format
    * @returns {string} Formatted number string
    */
   formatNumber(num) {
-    if (num >= 1000000) {
-      return (num / 1000000).toFixed(1) + "M";
-    } else if (num >= 1000) {
-      return (num / 1000).toFixed(1) + "K";
-    }
-    return num.toString();
+    return i18n.formatCompact(num);
   }
 
   /**
    * Update follow button state
+   * @param {boolean} isFollowing - Whether the displayed user is followed
    */
-  updateFollowButton() {
-    // Simulate follow state (in a real app, this would be stored in a database)
-    const isFollowing = Math.random() > 0.5; // Random for demo
+  updateFollowButton(isFollowing) {
+    const { followBtn } = this.elements;
+    if (!followBtn) return;
 
-    if (isFollowing) {
-      this.elements.followBtn.textContent = "Following";
-      this.elements.followBtn.classList.add("following");
-    } else {
-      this.elements.followBtn.textContent = "Follow";
-      this.elements.followBtn.classList.remove("following");
+    followBtn.textContent = i18n.t(
+      isFollowing ? "actions.following" : "actions.follow"
+    );
+    followBtn.classList.toggle("following", isFollowing);
+    followBtn.setAttribute("aria-pressed", String(isFollowing));
+  }
+
+  /**
+   * Update the favorite button state
+   * @param {boolean} isFavorite - Whether the displayed user is a favorite
+   */
+  updateFavoriteButton(isFavorite) {
+    const { favoriteBtn } = this.elements;
+    if (!favoriteBtn) return;
+
+    const star = document.createElement("span");
+    star.className = "favorite-star";
+    star.setAttribute("aria-hidden", "true");
+    star.textContent = isFavorite ? "★" : "☆";
+    favoriteBtn.replaceChildren(
+      star,
+      i18n.t(isFavorite ? "actions.favorited" : "actions.favorite")
+    );
+    favoriteBtn.classList.toggle("favorited", isFavorite);
+    favoriteBtn.setAttribute("aria-pressed", String(isFavorite));
+  }
+
+  /**
+   * Update the auto-refresh toggle
+   * @param {boolean} isEnabled - Whether auto-refresh is on
+   * @param {string} interval - Readable interval, e.g. "5 minutes"
+   */
+  updateAutoRefreshButton(isEnabled, interval) {
+    const { autoRefreshBtn } = this.elements;
+    if (!autoRefreshBtn) return;
+
+    autoRefreshBtn.classList.toggle("active", isEnabled);
+    autoRefreshBtn.setAttribute("aria-pressed", String(isEnabled));
+    autoRefreshBtn.title = i18n.t("autoRefresh.every", { interval });
+  }
+
+  /**
+   * Disable the follow button while a follow change is being synced
+   * @param {boolean} isBusy - True while the request is in flight
+   */
+  setFollowButtonBusy(isBusy) {
+    if (!this.elements.followBtn) return;
+    this.elements.followBtn.disabled = isBusy;
+    this.elements.followBtn.setAttribute("aria-busy", String(isBusy));
+  }
+
+  /**
+   * Fill the theme switcher
+   * @param {Array<Object>} themes - Themes ({ id, name })
+   * @param {string} selectedId - Theme id to select
+   */
+  renderThemeOptions(themes, selectedId) {
+    const { themeSelect } = this.elements;
+    if (!themeSelect) return;
+
+    themeSelect.innerHTML = "";
+    themes.forEach((theme) => {
+      const option = document.createElement("option");
+      option.value = theme.id;
+      option.textContent = theme.name;
+      themeSelect.appendChild(option);
+    });
+    themeSelect.value = selectedId;
+  }
+
+  /**
+   * Fill the language picker
+   * @param {Array<Object>} locales - Locales ({ id, name })
+   * @param {string} selectedId - Locale id to select
+   */
+  renderLocaleOptions(locales, selectedId) {
+    const { localeSelect } = this.elements;
+    if (!localeSelect) return;
+
+    localeSelect.innerHTML = "";
+    locales.forEach((locale) => {
+      const option = document.createElement("option");
+      option.value = locale.id;
+      option.textContent = locale.name;
+      option.lang = locale.id;
+      localeSelect.appendChild(option);
+    });
+    localeSelect.value = selectedId;
+  }
+
+  /**
+   * Re-translate static text and the auth indicator after a language
+   * change. Profile data is re-rendered by the caller.
+   */
+  translate() {
+    i18n.translateDom(this.root);
+    if (this.authState) {
+      this.updateAuthIndicator(this.authState);
+    }
+  }
+
+  /**
+   * Show or hide the export menu
+   * @param {boolean} [show] - Force a state instead of toggling
+   */
+  toggleExportMenu(show) {
+    const { exportBtn, exportMenu } = this.elements;
+    if (!exportMenu) return;
+
+    const shouldShow =
+      show === undefined ? exportMenu.classList.contains("hidden") : show;
+    exportMenu.classList.toggle("hidden", !shouldShow);
+    exportBtn?.setAttribute("aria-expanded", String(shouldShow));
+  }
+
+  /**
+   * Disable the export button while a file is being generated
+   * @param {boolean} isBusy - True while exporting
+   */
+  setExportBusy(isBusy) {
+    if (!this.elements.exportBtn) return;
+    this.elements.exportBtn.disabled = isBusy;
+    this.elements.exportBtn.setAttribute("aria-busy", String(isBusy));
+  }
+
+  /**
+   * Collect the displayed card's text for exporting. Stats use the final
+   * values, since the elements may still be mid-animation.
+   * @param {Object} userData - User data object
+   * @returns {Object} Card content ({ username, name, avatar, title, location, stats, details, bio })
+   */
+  getCardContent(userData) {
+    const {
+      profileCard,
+      userName,
+      userTitle,
+      userLocation,
+      followersCount,
+      followingCount,
+      reposCount,
+      userWebsite,
+      userSocial,
+      userBio,
+    } = this.elements;
+
+    const stats = [
+      [followersCount, userData.followers],
+      [followingCount, userData.following],
+      [reposCount, userData.publicRepos],
+    ].map(([element, value]) => ({
+      label: element.parentElement.querySelector(".stat-label").textContent,
+      value: value === null ? "–" : this.formatNumber(value),
+    }));
+
+    // Rows hidden for this profile (e.g. no social accounts) are left out
+    const details = [
+      ...profileCard.querySelectorAll(
+        ".profile-details .detail-item:not(.hidden)"
+      ),
+    ].map((item) => {
+      const value = item.querySelector(".detail-value");
+      const hidden = value.style.display === "none";
+      let text = hidden ? "" : value.textContent;
+      // The links' text runs together; list the accounts instead
+      if (value === userSocial) {
+        text = (userData.socialAccounts || [])
+          .map((account) => account.label)
+          .join(", ");
+      }
+      return {
+        label: item.querySelector(".detail-label").textContent,
+        value: text,
+        isLink: value === userWebsite || value === userSocial,
+      };
+    });
+
+    return {
+      username: userData.username,
+      name: userName.textContent,
+      avatar: userData.avatar,
+      title: userTitle.textContent,
+      location: userLocation.textContent,
+      stats,
+      details,
+      bio: userBio.textContent,
+    };
+  }
+
+  /**
+   * Read the card's current colors so exports match the active theme
+   * @returns {Object} Colors and font family
+   */
+  getCardTheme() {
+    const { profileCard, userAvatar, userName, userTitle, userLocation } =
+      this.elements;
+    const style = (selector) =>
+      window.getComputedStyle(profileCard.querySelector(selector));
+
+    const cardStyle = window.getComputedStyle(profileCard);
+    const headerStyle = style(".profile-header");
+
+    // Gradients are only in background-image; use their first and last stops
+    const stops = headerStyle.backgroundImage.match(/rgba?\([^)]*\)/g) || [];
+
+    return {
+      fontFamily: cardStyle.fontFamily,
+      background: cardStyle.backgroundColor,
+      headerStart: stops[0] || headerStyle.backgroundColor,
+      headerEnd: stops[stops.length - 1] || headerStyle.backgroundColor,
+      border: headerStyle.borderBottomColor,
+      avatarBorder: window.getComputedStyle(userAvatar).borderTopColor,
+      name: window.getComputedStyle(userName).color,
+      accent: window.getComputedStyle(userTitle).color,
+      muted: window.getComputedStyle(userLocation).color,
+      statsBackground: style(".profile-stats").backgroundColor,
+      statNumber: style(".stat-number").color,
+      statLabel: style(".stat-label").color,
+      detailLabel: style(".detail-label").color,
+      detailValue: style(".detail-value").color,
+      bioBackground: style(".profile-bio").backgroundColor,
+      bio: style(".bio-text").color,
+    };
+  }
+
+  /**
+   * Show or hide the list of followed users
+   * @param {boolean} [show] - Force a state instead of toggling
+   */
+  toggleFollowingPanel(show) {
+    const { followingBtn, followingPanel } = this.elements;
+    if (!followingPanel) return;
+
+    const shouldShow =
+      show === undefined ? followingPanel.classList.contains("hidden") : show;
+    followingPanel.classList.toggle("hidden", !shouldShow);
+    followingBtn?.setAttribute("aria-expanded", String(shouldShow));
+
+    if (shouldShow) {
+      this.toggleAuthPanel(false);
+      this.toggleFavoritesPanel(false);
+    }
+  }
+
+  /**
+   * Show or hide the favorites panel
+   * @param {boolean} [show] - Force a state instead of toggling
+   */
+  toggleFavoritesPanel(show) {
+    const { favoritesBtn, favoritesPanel } = this.elements;
+    if (!favoritesPanel) return;
+
+    const shouldShow =
+      show === undefined ? favoritesPanel.classList.contains("hidden") : show;
+    favoritesPanel.classList.toggle("hidden", !shouldShow);
+    favoritesBtn?.setAttribute("aria-expanded", String(shouldShow));
+
+    if (shouldShow) {
+      this.toggleAuthPanel(false);
+      this.toggleFollowingPanel(false);
+    }
+  }
+
+  /**
+   * Show the number of favorites on the header button
+   * @param {number} count - Number of favorites
+   */
+  updateFavoritesCount(count) {
+    if (this.elements.favoritesCount) {
+      this.elements.favoritesCount.textContent = count;
+    }
+  }
+
+  /**
+   * Render the list of followed users
+   * @param {Array<Object>} users - Follow entries ({ username, name, avatar })
+   */
+  renderFollowingList(users) {
+    const { followingList, followingEmpty, followingListCount } = this.elements;
+    if (!followingList) return;
+
+    if (followingListCount) {
+      followingListCount.textContent = users.length;
+    }
+    followingEmpty?.classList.toggle("hidden", users.length > 0);
+    followingList.innerHTML = "";
+
+    users.forEach((user) => {
+      const item = document.createElement("li");
+      item.className = "following-item";
+
+      const open = document.createElement("button");
+      open.className = "following-open";
+      open.dataset.action = "open";
+      open.dataset.username = user.username;
+
+      const avatar = document.createElement("img");
+      avatar.src = user.avatar;
+      avatar.alt = "";
+      avatar.className = "following-avatar";
+
+      const name = document.createElement("span");
+      name.className = "following-name";
+      name.textContent = user.name;
+
+      const username = document.createElement("span");
+      username.className = "following-username";
+      username.textContent = `@${user.username}`;
+
+      open.append(avatar, name, username);
+
+      const remove = document.createElement("button");
+      remove.className = "following-remove";
+      remove.dataset.action = "unfollow";
+      remove.dataset.username = user.username;
+      remove.textContent = i18n.t("following.unfollow");
+      remove.setAttribute(
+        "aria-label",
+        i18n.t("following.unfollowUser", { username: user.username })
+      );
+
+      item.append(open, remove);
+      followingList.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the recently viewed strip. It stays hidden until there is a
+   * second profile to go back to.
+   * @param {Array<Object>} users - Viewed profiles, oldest first
+   * @param {number} currentIndex - Position of the displayed profile
+   */
+  renderViewHistory(users, currentIndex) {
+    const {
+      viewHistory,
+      viewHistoryList,
+      viewHistoryPrevBtn,
+      viewHistoryNextBtn,
+    } = this.elements;
+    if (!viewHistory || !viewHistoryList) return;
+
+    viewHistory.classList.toggle("hidden", users.length < 2);
+    if (viewHistoryPrevBtn) {
+      viewHistoryPrevBtn.disabled = currentIndex <= 0;
+    }
+    if (viewHistoryNextBtn) {
+      viewHistoryNextBtn.disabled = currentIndex >= users.length - 1;
+    }
+
+    viewHistoryList.replaceChildren(
+      ...users.map((user, index) => {
+        const item = document.createElement("li");
+
+        const open = document.createElement("button");
+        open.type = "button";
+        open.className = "view-history-item";
+        open.dataset.index = index;
+        const label = i18n.t("history.open", { name: user.name });
+        open.title = label;
+        open.setAttribute("aria-label", label);
+        if (index === currentIndex) {
+          open.setAttribute("aria-current", "true");
+        }
+
+        const avatar = document.createElement("img");
+        avatar.src = user.avatar;
+        avatar.alt = "";
+        avatar.className = "view-history-avatar";
+
+        open.appendChild(avatar);
+        item.appendChild(open);
+        return item;
+      })
+    );
+
+    // Keep the displayed profile in view when the strip overflows
+    viewHistoryList
+      .querySelector("[aria-current]")
+      ?.scrollIntoView({ block: "nearest", inline: "nearest" });
+  }
+
+  /**
+   * Render autocomplete suggestions below the search input
+   * @param {Array<Object>} users - Suggested users ({ username, avatar })
+   */
+  showSearchSuggestions(users) {
+    const { searchInput, searchSuggestions } = this.elements;
+    if (!searchSuggestions) return;
+
+    this.searchSuggestions = users;
+    this.activeSuggestionIndex = -1;
+    searchSuggestions.innerHTML = "";
+
+    if (users.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "search-suggestion empty";
+      empty.textContent = i18n.t("search.noResults");
+      searchSuggestions.appendChild(empty);
+    }
+
+    users.forEach((user, index) => {
+      const option = document.createElement("li");
+      option.id = `search-option-${index}`;
+      option.className = "search-suggestion";
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", "false");
+      option.dataset.username = user.username;
+
+      const avatar = document.createElement("img");
+      avatar.src = user.avatar;
+      avatar.alt = "";
+      avatar.className = "search-suggestion-avatar";
+
+      const label = document.createElement("span");
+      label.textContent = user.username;
+
+      option.append(avatar, label);
+      searchSuggestions.appendChild(option);
+    });
+
+    searchSuggestions.classList.remove("hidden");
+    searchInput?.setAttribute("aria-expanded", "true");
+    searchInput?.removeAttribute("aria-activedescendant");
+  }
+
+  /**
+   * Hide the autocomplete suggestions
+   */
+  hideSearchSuggestions() {
+    this.searchSuggestions = [];
+    this.activeSuggestionIndex = -1;
+    this.elements.searchSuggestions?.classList.add("hidden");
+    this.elements.searchInput?.setAttribute("aria-expanded", "false");
+    this.elements.searchInput?.removeAttribute("aria-activedescendant");
+  }
+
+  /**
+   * Move the highlighted suggestion up or down, wrapping at the ends
+   * @param {number} step - 1 to move down, -1 to move up
+   */
+  moveSuggestionHighlight(step) {
+    const count = this.searchSuggestions.length;
+    if (count === 0) return;
+
+    this.activeSuggestionIndex =
+      (this.activeSuggestionIndex + step + count) % count;
+
+    const options =
+      this.elements.searchSuggestions.querySelectorAll("[role='option']");
+    options.forEach((option, index) => {
+      const isActive = index === this.activeSuggestionIndex;
+      option.classList.toggle("active", isActive);
+      option.setAttribute("aria-selected", String(isActive));
+      if (isActive) {
+        this.elements.searchInput.setAttribute(
+          "aria-activedescendant",
+          option.id
+        );
+        option.scrollIntoView({ block: "nearest" });
+      }
+    });
+  }
+
+  /**
+   * Show an inline validation or search error under the search input
+   * @param {string} message - Error message to display
+   */
+  showSearchError(message) {
+    if (!this.elements.searchError) return;
+    this.elements.searchError.textContent = message;
+    this.elements.searchError.classList.remove("hidden");
+    this.elements.searchInput?.setAttribute("aria-invalid", "true");
+  }
+
+  /**
+   * Clear the inline search error
+   */
+  clearSearchError() {
+    this.elements.searchError?.classList.add("hidden");
+    this.elements.searchInput?.removeAttribute("aria-invalid");
+  }
+
+  /**
+   * Reset the search box after a user has been chosen
+   */
+  clearSearch() {
+    if (this.elements.searchInput) {
+      this.elements.searchInput.value = "";
     }
+    this.hideSearchSuggestions();
+    this.clearSearchError();
   }
 
   /**
-   * Toggle follow button state
-   * @returns {boolean} New follow state
+   * Show or hide the access token settings panel
+   * @param {boolean} [show] - Force a state instead of toggling
    */
-  toggleFollow() {
-    const isCurrentlyFollowing =
-      this.elements.followBtn.textContent === "Following";
+  toggleAuthPanel(show) {
+    const { authBtn, authPanel, tokenInput } = this.elements;
+    if (!authPanel) return;
 
-    if (isCurrentlyFollowing) {
-      this.elements.followBtn.textContent = "Follow";
-      this.elements.followBtn.classList.remove("following");
-      return false;
+    const shouldShow =
+      show === undefined ? authPanel.classList.contains("hidden") : show;
+    authPanel.classList.toggle("hidden", !shouldShow);
+    authBtn?.setAttribute("aria-expanded", String(shouldShow));
+
+    if (shouldShow) {
+      this.toggleFollowingPanel(false);
+      this.toggleFavoritesPanel(false);
+      tokenInput?.focus();
     } else {
-      this.elements.followBtn.textContent = "Following";
-      this.elements.followBtn.classList.add("following");
-      return true;
+      this.clearAuthError();
+    }
+  }
+
+  /**
+   * Update the signed-in/anonymous indicator
+   * @param {Object} state - Authentication state
+   * @param {string} state.status - "anonymous", "signed-in", "checking" or "invalid"
+   * @param {string} [state.username] - Login of the token owner
+   */
+  updateAuthIndicator({ status, username }) {
+    const labels = {
+      anonymous: i18n.t("auth.anonymous"),
+      checking: i18n.t("auth.checking"),
+      "signed-in": i18n.t("auth.signedIn"),
+      invalid: i18n.t("auth.invalid"),
+    };
+    this.authState = { status, username };
+
+    if (this.elements.authStatus) {
+      this.elements.authStatus.textContent =
+        status === "signed-in" && username ? `@${username}` : labels[status];
+    }
+    if (this.elements.authBtn) {
+      this.elements.authBtn.dataset.status = status;
+      this.elements.authBtn.setAttribute(
+        "aria-label",
+        i18n.t("auth.buttonLabel", { status: labels[status] })
+      );
+    }
+    this.elements.signOutBtn?.classList.toggle(
+      "hidden",
+      status === "anonymous"
+    );
+  }
+
+  /**
+   * Show an error inside the token settings panel
+   * @param {string} message - Error message to display
+   */
+  showAuthError(message) {
+    if (!this.elements.authError) return;
+    this.elements.authError.textContent = message;
+    this.elements.authError.classList.remove("hidden");
+  }
+
+  /**
+   * Clear the token settings error
+   */
+  clearAuthError() {
+    this.elements.authError?.classList.add("hidden");
+  }
+
+  /**
+   * Empty the token input so the secret isn't left in the DOM
+   */
+  clearTokenInput() {
+    if (this.elements.tokenInput) {
+      this.elements.tokenInput.value = "";
     }
   }
 
@@ -247,6 +1354,7 @@ class DomManager {
   showLoadingState() {
     this.hideAllStates();
     this.elements.loadingState?.classList.remove("hidden");
+    this.announce(i18n.t("states.loading"));
   }
 
   /**
@@ -259,6 +1367,72 @@ class DomManager {
       this.elements.errorMessage.textContent = message;
     }
     this.elements.errorState?.classList.remove("hidden");
+    this.announce(message, "assertive");
+  }
+
+  /**
+   * Move focus to the error state's first usable button, so keyboard users
+   * can retry right away
+   */
+  focusErrorAction() {
+    const { retryBtn, backBtn } = this.elements;
+    const target = [retryBtn, backBtn].find(
+      (button) =>
+        button && !button.disabled && !button.classList.contains("hidden")
+    );
+    target?.focus();
+  }
+
+  /**
+   * Show or hide the error state's back button
+   * @param {boolean} visible - True if there is a previous profile to return to
+   */
+  toggleBackButton(visible) {
+    this.elements.backBtn?.classList.toggle("hidden", !visible);
+  }
+
+  /**
+   * Show a live countdown under the error message until the rate limit
+   * resets. The retry button is disabled until then.
+   * @param {number} resetAt - Timestamp (ms) when requests may resume
+   */
+  showErrorCountdown(resetAt) {
+    const { errorCountdown, retryBtn } = this.elements;
+    if (!errorCountdown) return;
+
+    this.stopErrorCountdown();
+    errorCountdown.classList.remove("hidden");
+    if (retryBtn) retryBtn.disabled = true;
+
+    const tick = () => {
+      const secondsLeft = Math.ceil((resetAt - Date.now()) / 1000);
+
+      if (secondsLeft <= 0) {
+        this.stopErrorCountdown();
+        errorCountdown.classList.remove("hidden");
+        errorCountdown.textContent = i18n.t("states.rateLimitReset");
+        return;
+      }
+
+      const minutes = Math.floor(secondsLeft / 60);
+      const seconds = String(secondsLeft % 60).padStart(2, "0");
+      errorCountdown.textContent = i18n.t("states.rateLimitResetsIn", {
+        time: `${minutes}:${seconds}`,
+      });
+    };
+
+    tick();
+    this.countdownTimer = setInterval(tick, 1000);
+  }
+
+  /**
+   * Stop and hide the rate-limit countdown
+   */
+  stopErrorCountdown() {
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = null;
+    this.elements.errorCountdown?.classList.add("hidden");
+    if (this.elements.retryBtn) this.elements.retryBtn.disabled = false;
   }
 
   /**
@@ -269,68 +1443,181 @@ class DomManager {
     this.elements.profileCard?.classList.remove("hidden");
   }
 
+  /**
+   * Check if the single profile card is the visible state
+   * @returns {boolean} True if the card is shown
+   */
+  isProfileCardVisible() {
+    return (
+      Boolean(this.elements.profileCard) &&
+      !this.elements.profileCard.classList.contains("hidden")
+    );
+  }
+
+  /**
+   * Move focus to a freshly loaded card so screen readers read it next
+   */
+  focusProfileCard() {
+    this.elements.profileCard?.focus();
+  }
+
+  /**
+   * Move focus to the header search box
+   */
+  focusSearch() {
+    this.elements.searchInput?.focus();
+  }
+
+  /**
+   * Show the compare view with the given usernames in its form
+   * @param {Array<string>} usernames - Usernames for the two inputs
+   */
+  showCompareView([usernameA = "", usernameB = ""] = []) {
+    const { compareView, compareUserA, compareUserB } = this.elements;
+    if (!compareView) return;
+
+    this.hideAllStates();
+    compareUserA.value = usernameA;
+    compareUserB.value = usernameB;
+    compareView.classList.remove("hidden");
+
+    // Focus the first input still waiting for a username
+    (usernameA ? compareUserB : compareUserA).focus();
+  }
+
+  /**
+   * Show a loading or error message in the compare view
+   * @param {string} message - Status text
+   * @param {boolean} isError - Style as an error
+   */
+  showCompareStatus(message, isError = false) {
+    const { compareStatus } = this.elements;
+    if (!compareStatus) return;
+
+    compareStatus.textContent = message;
+    compareStatus.classList.toggle("error", isError);
+    compareStatus.classList.remove("hidden");
+  }
+
+  /**
+   * Render two profiles side by side, highlighting the higher value per metric
+   * @param {Array<Object>} users - The two users being compared
+   * @param {Array<Object>} metrics - Comparison rows ({ key, label, values, winner, difference })
+   */
+  renderComparison(users, metrics) {
+    const { compareCards, compareCardTemplate, compareStatus } = this.elements;
+    if (!compareCards || !compareCardTemplate) return;
+
+    compareStatus?.classList.add("hidden");
+    compareCards.innerHTML = "";
+
+    users.forEach((userData, index) => {
+      const card = compareCardTemplate.content.cloneNode(true);
+      const field = (name) => card.querySelector(`[data-field="${name}"]`);
+
+      field("avatar").src = userData.avatar;
+      field("avatar").alt = i18n.t("profile.avatarOf", {
+        name: userData.name,
+      });
+      field("name").textContent = userData.name;
+      field("username").textContent = `@${userData.username}`;
+
+      metrics.forEach((metric) => {
+        const row = document.createElement("div");
+        row.className = "compare-metric";
+        row.classList.toggle("is-higher", metric.winner === index);
+
+        const label = document.createElement("dt");
+        label.textContent = metric.label;
+
+        const value = document.createElement("dd");
+        value.textContent = this.formatMetric(metric.key, metric.values[index]);
+
+        if (metric.winner === index) {
+          const delta = document.createElement("span");
+          delta.className = "compare-delta";
+          delta.textContent = `+${this.formatMetric(
+            metric.key,
+            metric.difference
+          )}`;
+          value.appendChild(delta);
+        }
+
+        row.append(label, value);
+        field("metrics").appendChild(row);
+      });
+
+      compareCards.appendChild(card);
+    });
+  }
+
+  /**
+   * Format a comparison value for display
+   * @param {string} key - Metric key
+   * @param {number|null} value - Metric value
+   * @returns {string} Formatted value
+   */
+  formatMetric(key, value) {
+    if (value === null || value === undefined) return "–";
+    return key === "accountAge"
+      ? this.formatDuration(value)
+      : this.formatNumber(value);
+  }
+
+  /**
+   * Format a duration as years, months or days
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Human-readable duration
+   */
+  formatDuration(ms) {
+    const days = ms / (24 * 60 * 60 * 1000);
+    if (days >= 365) {
+      return i18n.t("duration.years", { count: Math.floor(days / 365) });
+    }
+    if (days >= 30) {
+      return i18n.t("duration.months", { count: Math.floor(days / 30) });
+    }
+    return i18n.t("duration.days", { count: Math.floor(days) });
+  }
+
   /**
    * Hide all state containers
    */
   hideAllStates() {
+    this.stopErrorCountdown();
     this.elements.loadingState?.classList.add("hidden");
     this.elements.errorState?.classList.add("hidden");
     this.elements.profileCard?.classList.add("hidden");
+    this.elements.compareView?.classList.add("hidden");
   }
 
   /**
-   * Show notification message
-   * @param {string} message - Notification message
-   * @param {string} type - Notification type (success, error, info)
+   * Read a message to screen readers. The same message raised twice in a
+   * row (e.g. a repeated toast) is only read once.
+   * @param {string} message - Text to announce
+   * @param {string} priority - "polite" waits for the user to be idle, "assertive" interrupts
    */
-  showNotification(message, type = "success") {
-    const notification = document.createElement("div");
-    notification.className = `notification notification-${type}`;
-    notification.textContent = message;
+  announce(message, priority = "polite") {
+    const region =
+      priority === "assertive"
+        ? this.elements.assertiveAnnouncer
+        : this.elements.politeAnnouncer;
+    if (!region || !message) return;
 
-    // Set notification styles based on type
-    const colors = {
-      success: "#10b981",
-      error: "#ef4444",
-      info: "#3b82f6",
-    };
+    const now = Date.now();
+    if (
+      this.lastAnnouncement.message === message &&
+      now - this.lastAnnouncement.at < 1000
+    ) {
+      return;
+    }
+    this.lastAnnouncement = { message, at: now };
 
-    notification.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      background: ${colors[type] || colors.success};
-      color: white;
-      padding: 12px 20px;
-      border-radius: 8px;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-      z-index: 1000;
-      animation: slideInRight 0.3s ease-out;
-      max-width: 300px;
-      word-wrap: break-word;
-    `;
-
-    document.body.appendChild(notification);
-
-    // Remove after 3 seconds
+    // Clear first so repeating the last message is announced again
+    region.textContent = "";
     setTimeout(() => {
-      notification.style.animation = "slideOutRight 0.3s ease-in";
-      setTimeout(() => {
-        if (notification.parentNode) {
-          notification.parentNode.removeChild(notification);
-        }
-      }, 300);
-    }, 3000);
-  }
-
-  /**
-   * Show message modal (placeholder for demo)
-   * @param {string} userName - User's name
-   * @param {string} username - User's username
-   */
-  showMessageModal(userName, username) {
-    // Simple alert for demo - in a real app, this would open a modal
-    alert(`This would open a message dialog to ${userName} (@${username})`);
+      region.textContent = message;
+    }, 50);
   }
 
   /**
@@ -354,7 +1641,7 @@ class DomManager {
    * @returns {boolean} True if element exists
    */
   elementExists(elementId) {
-    return document.getElementById(elementId) !== null;
+    return this.root.getElementById(elementId) !== null;
   }
 
   /**
@@ -366,8 +1653,53 @@ class DomManager {
       cancelAnimationFrame(frameId);
     });
     this.animations.clear();
+
+    this.deltaTimers.forEach((timer) => clearTimeout(timer));
+    this.deltaTimers.clear();
+
+    this.stopErrorCountdown();
   }
 }
 
+// Names and 24px stroke icons for the social accounts providers report
+DomManager.socialProviders = {
+  twitter: {
+    name: "X (Twitter)",
+    icon: '<path d="M23 3a10.9 10.9 0 0 1-3.14 1.53 4.48 4.48 0 0 0-7.86 3v1A10.66 10.66 0 0 1 3 4s-4 9 5 13a11.64 11.64 0 0 1-7 2c9 5 20 0 20-11.5a4.5 4.5 0 0 0-.08-.83A7.72 7.72 0 0 0 23 3z"/>',
+  },
+  linkedin: {
+    name: "LinkedIn",
+    icon: '<path d="M16 8a6 6 0 0 1 6 6v7h-4v-7a2 2 0 0 0-4 0v7h-4v-7a6 6 0 0 1 6-6z"/><rect x="2" y="9" width="4" height="12"/><circle cx="4" cy="4" r="2"/>',
+  },
+  youtube: {
+    name: "YouTube",
+    icon: '<path d="M22.54 6.42a2.78 2.78 0 0 0-1.94-2C18.88 4 12 4 12 4s-6.88 0-8.6.46a2.78 2.78 0 0 0-1.94 2A29 29 0 0 0 1 11.75a29 29 0 0 0 .46 5.33A2.78 2.78 0 0 0 3.4 19c1.72.46 8.6.46 8.6.46s6.88 0 8.6-.46a2.78 2.78 0 0 0 1.94-2 29 29 0 0 0 .46-5.25 29 29 0 0 0-.46-5.33z"/><polygon points="9.75 15.02 15.5 11.75 9.75 8.48 9.75 15.02"/>',
+  },
+  facebook: {
+    name: "Facebook",
+    icon: '<path d="M18 2h-3a5 5 0 0 0-5 5v3H7v4h3v8h4v-8h3l1-4h-4V7a1 1 0 0 1 1-1h3z"/>',
+  },
+  instagram: {
+    name: "Instagram",
+    icon: '<rect x="2" y="2" width="20" height="20" rx="5" ry="5"/><path d="M16 11.37A4 4 0 1 1 12.63 8 4 4 0 0 1 16 11.37z"/><line x1="17.5" y1="6.5" x2="17.51" y2="6.5"/>',
+  },
+  twitch: {
+    name: "Twitch",
+    icon: '<path d="M21 2H3v16h5v4l4-4h5l4-4V2zm-10 9V7m5 4V7"/>',
+  },
+  mastodon: {
+    name: "Mastodon",
+    icon: '<circle cx="12" cy="12" r="4"/><path d="M16 8v5a3 3 0 0 0 6 0v-1a10 10 0 1 0-3.92 7.94"/>',
+  },
+  bluesky: {
+    name: "Bluesky",
+    icon: '<path d="M12 11C10 7 6.5 4 4 4c-1.5 0-2 1-2 2.5 0 2 1 5.5 3.5 6-2 .5-3 2-2 3.5s3.5 2 5.5-1l3-2.5"/><path d="M12 11c2-4 5.5-7 8-7 1.5 0 2 1 2 2.5 0 2-1 5.5-3.5 6 2 .5 3 2 2 3.5s-3.5 2-5.5-1l-3-2.5"/>',
+  },
+  generic: {
+    name: null,
+    icon: '<path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>',
+  },
+};
+
 // Export for use in other modules
 window.DomManager = DomManager;
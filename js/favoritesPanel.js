@@ -0,0 +1,302 @@
+// Favorites Panel - Lists saved profiles with tag and text filters, inline editing and import/export
+class FavoritesPanel {
+  constructor() {
+    this.filter = { text: "", tag: "" };
+    this.editing = null; // Username whose tags and note are being edited
+    this.elements = {
+      filterInput: document.getElementById("favoritesFilter"),
+      tagSelect: document.getElementById("favoritesTagFilter"),
+      list: document.getElementById("favoritesList"),
+      empty: document.getElementById("favoritesEmpty"),
+      exportBtn: document.getElementById("exportFavoritesBtn"),
+      importBtn: document.getElementById("importFavoritesBtn"),
+      importInput: document.getElementById("importFavoritesInput"),
+    };
+  }
+
+  /**
+   * Bind the filters, list actions and import/export buttons
+   * @param {Object} callbacks - Panel callbacks
+   * @param {Function} callbacks.onChange - Filters or the edited row changed; re-render the list
+   * @param {Function} callbacks.onOpen - Open a profile (username)
+   * @param {Function} callbacks.onRemove - Remove a favorite (username)
+   * @param {Function} callbacks.onSave - Save tags and note (username, { tags, note })
+   * @param {Function} callbacks.onExport - Download the collection
+   * @param {Function} callbacks.onImport - Merge a chosen file (File)
+   */
+  bindEvents(callbacks) {
+    const { filterInput, tagSelect, list, exportBtn, importBtn, importInput } =
+      this.elements;
+    if (!list) return;
+
+    filterInput?.addEventListener("input", () => {
+      this.filter.text = filterInput.value;
+      callbacks.onChange();
+    });
+    tagSelect?.addEventListener("change", () => {
+      this.filter.tag = tagSelect.value;
+      callbacks.onChange();
+    });
+
+    list.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-action]");
+      if (!button) return;
+
+      const { username } = button.closest("[data-username]").dataset;
+      switch (button.dataset.action) {
+        case "open":
+          callbacks.onOpen(username);
+          break;
+        case "remove":
+          callbacks.onRemove(username);
+          break;
+        case "edit":
+          this.editing = username;
+          callbacks.onChange();
+          list
+            .querySelector(`[data-username="${CSS.escape(username)}"] input`)
+            ?.focus();
+          break;
+        case "cancel":
+          this.editing = null;
+          callbacks.onChange();
+          break;
+        case "tag":
+          this.setTagFilter(button.dataset.tag);
+          callbacks.onChange();
+          break;
+      }
+    });
+
+    list.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const form = event.target;
+      this.editing = null;
+      callbacks.onSave(form.closest("[data-username]").dataset.username, {
+        tags: form.elements.tags.value,
+        note: form.elements.note.value,
+      });
+    });
+
+    exportBtn?.addEventListener("click", callbacks.onExport);
+    importBtn?.addEventListener("click", () => importInput?.click());
+    importInput?.addEventListener("change", () => {
+      const [file] = importInput.files;
+      // Reset so choosing the same file again still fires "change"
+      importInput.value = "";
+      if (file) {
+        callbacks.onImport(file);
+      }
+    });
+  }
+
+  /**
+   * Get the current filter values
+   * @returns {Object} { text, tag }
+   */
+  getFilter() {
+    return { ...this.filter };
+  }
+
+  /**
+   * Filter by a tag and reflect it in the tag picker
+   * @param {string} tag - Tag, or "" for all
+   */
+  setTagFilter(tag) {
+    this.filter.tag = tag;
+    if (this.elements.tagSelect) {
+      this.elements.tagSelect.value = tag;
+    }
+  }
+
+  /**
+   * Render the tag picker and the matching favorites
+   * @param {Array<Object>} entries - Favorites matching getFilter()
+   * @param {Array<string>} tags - Every tag in use
+   * @param {number} total - Number of favorites before filtering
+   */
+  render(entries, tags, total) {
+    const { list, empty, exportBtn } = this.elements;
+    if (!list) return;
+
+    this.renderTagOptions(tags);
+
+    if (empty) {
+      empty.textContent = i18n.t(
+        total === 0 ? "favorites.empty" : "favorites.noMatches"
+      );
+      empty.classList.toggle("hidden", entries.length > 0);
+    }
+    if (exportBtn) {
+      exportBtn.disabled = total === 0;
+    }
+
+    list.replaceChildren(...entries.map((entry) => this.renderItem(entry)));
+  }
+
+  /**
+   * Fill the tag picker, keeping the selection while its tag still exists
+   * @param {Array<string>} tags - Every tag in use
+   */
+  renderTagOptions(tags) {
+    const { tagSelect } = this.elements;
+    if (!tagSelect) return;
+
+    if (!tags.includes(this.filter.tag)) {
+      this.filter.tag = "";
+    }
+
+    const all = new Option(i18n.t("favorites.allTags"), "");
+    tagSelect.replaceChildren(all, ...tags.map((tag) => new Option(tag, tag)));
+    tagSelect.value = this.filter.tag;
+  }
+
+  /**
+   * Build one favorite's row, or its editor while it is being edited
+   * @param {Object} entry - Favorite entry ({ user, tags, note })
+   * @returns {HTMLElement} List item
+   */
+  renderItem(entry) {
+    const { user } = entry;
+    const item = document.createElement("li");
+    item.className = "favorite-item";
+    item.dataset.username = user.username;
+
+    const open = document.createElement("button");
+    open.type = "button";
+    open.className = "following-open";
+    open.dataset.action = "open";
+
+    const avatar = document.createElement("img");
+    avatar.src = user.avatar;
+    avatar.alt = "";
+    avatar.className = "following-avatar";
+
+    const name = document.createElement("span");
+    name.className = "following-name";
+    name.textContent = user.name;
+
+    const username = document.createElement("span");
+    username.className = "following-username";
+    username.textContent = `@${user.username}`;
+
+    open.append(avatar, name, username);
+
+    const actions = document.createElement("div");
+    actions.className = "favorite-actions";
+    actions.append(
+      this.createButton("edit", i18n.t("favorites.edit"), {
+        label: i18n.t("favorites.editUser", { username: user.username }),
+      }),
+      this.createButton("remove", i18n.t("favorites.remove"), {
+        label: i18n.t("favorites.removeUser", { username: user.username }),
+      })
+    );
+
+    const summary = document.createElement("div");
+    summary.className = "favorite-summary";
+    summary.append(open, actions);
+    item.appendChild(summary);
+
+    if (this.editing === user.username) {
+      item.appendChild(this.renderEditor(entry));
+      return item;
+    }
+
+    if (entry.tags.length > 0) {
+      const tags = document.createElement("div");
+      tags.className = "favorite-tags";
+      tags.append(
+        ...entry.tags.map((tag) =>
+          this.createButton("tag", `#${tag}`, {
+            className: "favorite-tag",
+            label: i18n.t("favorites.filterByTag", { tag }),
+            tag,
+          })
+        )
+      );
+      item.appendChild(tags);
+    }
+
+    if (entry.note) {
+      const note = document.createElement("p");
+      note.className = "favorite-note";
+      note.textContent = entry.note;
+      item.appendChild(note);
+    }
+    return item;
+  }
+
+  /**
+   * Build the inline form for a favorite's tags and note
+   * @param {Object} entry - Favorite entry
+   * @returns {HTMLFormElement} Editor form
+   */
+  renderEditor(entry) {
+    const form = document.createElement("form");
+    form.className = "favorite-editor";
+
+    const tagsLabel = document.createElement("label");
+    tagsLabel.textContent = i18n.t("favorites.tags");
+    const tags = document.createElement("input");
+    tags.name = "tags";
+    tags.className = "token-input";
+    tags.value = entry.tags.join(", ");
+    tags.placeholder = i18n.t("favorites.tagsHint");
+    tagsLabel.appendChild(tags);
+
+    const noteLabel = document.createElement("label");
+    noteLabel.textContent = i18n.t("favorites.note");
+    const note = document.createElement("textarea");
+    note.name = "note";
+    note.className = "token-input";
+    note.rows = 3;
+    note.value = entry.note;
+    noteLabel.appendChild(note);
+
+    const save = document.createElement("button");
+    save.type = "submit";
+    save.className = "action-btn primary";
+    save.textContent = i18n.t("favorites.save");
+
+    const buttons = document.createElement("div");
+    buttons.className = "favorite-editor-actions";
+    buttons.append(
+      save,
+      this.createButton("cancel", i18n.t("favorites.cancel"), {
+        className: "action-btn secondary",
+      })
+    );
+
+    form.append(tagsLabel, noteLabel, buttons);
+    return form;
+  }
+
+  /**
+   * Build a list action button
+   * @param {string} action - data-action value
+   * @param {string} text - Visible text
+   * @param {Object} options - Button options
+   * @param {string} options.className - Class names; a small outlined button by default
+   * @param {string} options.label - Accessible name, if the text alone is ambiguous
+   * @param {string} options.tag - Tag a "tag" button filters by
+   * @returns {HTMLButtonElement} Button
+   */
+  createButton(action, text, { className = "following-remove", label, tag }) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = className;
+    button.dataset.action = action;
+    button.textContent = text;
+    if (label) {
+      button.setAttribute("aria-label", label);
+    }
+    if (tag) {
+      button.dataset.tag = tag;
+    }
+    return button;
+  }
+}
+
+// Export for use in other modules
+window.FavoritesPanel = FavoritesPanel;
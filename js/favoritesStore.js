@@ -0,0 +1,240 @@
+// Favorites Store - Saved profiles with tags and notes, kept in localStorage
+class FavoritesStore {
+  /**
+   * @param {string} providerId - Provider the profiles belong to
+   */
+  constructor(providerId = "github") {
+    this.providerId = providerId;
+    this.storageKey = `profileCard:favorites:${providerId}`;
+    this.entries = this.load();
+  }
+
+  /**
+   * Read stored favorites
+   * @returns {Object} Entries keyed by lowercased username
+   */
+  load() {
+    try {
+      return JSON.parse(window.localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Write favorites back to localStorage
+   */
+  save() {
+    try {
+      window.localStorage.setItem(
+        this.storageKey,
+        JSON.stringify(this.entries)
+      );
+    } catch (error) {
+      console.warn("Failed to save favorites:", error);
+    }
+  }
+
+  /**
+   * Check if a user is a favorite
+   * @param {string} username - Username
+   * @returns {boolean} True if saved
+   */
+  isFavorite(username) {
+    return Boolean(this.entries[username.toLowerCase()]);
+  }
+
+  /**
+   * Save a profile. Tags and note survive if it was already saved.
+   * @param {Object} userData - Normalized user data
+   */
+  add(userData) {
+    const key = userData.username.toLowerCase();
+    const existing = this.entries[key];
+    this.entries[key] = {
+      user: userData,
+      tags: existing ? existing.tags : [],
+      note: existing ? existing.note : "",
+      addedAt: existing ? existing.addedAt : Date.now(),
+    };
+    this.save();
+  }
+
+  /**
+   * Replace a saved profile's data with a fresher copy; ignores users who
+   * aren't favorites
+   * @param {Object} userData - Normalized user data
+   */
+  refresh(userData) {
+    const entry = this.get(userData.username);
+    if (!entry) return;
+
+    entry.user = userData;
+    this.save();
+  }
+
+  /**
+   * Remove a profile
+   * @param {string} username - Username
+   */
+  remove(username) {
+    delete this.entries[username.toLowerCase()];
+    this.save();
+  }
+
+  /**
+   * Put back an entry from get(), e.g. to undo its removal
+   * @param {Object} entry - Favorite entry
+   */
+  restore(entry) {
+    this.entries[entry.user.username.toLowerCase()] = entry;
+    this.save();
+  }
+
+  /**
+   * Set a favorite's tags and note
+   * @param {string} username - Username
+   * @param {Object} details - New details
+   * @param {Array<string>|string} details.tags - Tags, or a comma-separated string
+   * @param {string} details.note - Free-form note
+   */
+  update(username, { tags, note }) {
+    const entry = this.get(username);
+    if (!entry) return;
+
+    entry.tags = this.normalizeTags(tags);
+    entry.note = (note || "").trim();
+    this.save();
+  }
+
+  /**
+   * Get a stored favorite
+   * @param {string} username - Username
+   * @returns {Object|null} Entry ({ user, tags, note, addedAt })
+   */
+  get(username) {
+    return this.entries[username.toLowerCase()] || null;
+  }
+
+  /**
+   * Get all favorites, most recently added first
+   * @returns {Array<Object>} Favorite entries
+   */
+  getAll() {
+    return Object.values(this.entries).sort((a, b) => b.addedAt - a.addedAt);
+  }
+
+  /**
+   * Get every tag in use, alphabetically
+   * @returns {Array<string>} Tags
+   */
+  getTags() {
+    const tags = new Set();
+    Object.values(this.entries).forEach((entry) =>
+      entry.tags.forEach((tag) => tags.add(tag))
+    );
+    return [...tags].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Get the favorites matching a tag and a text query
+   * @param {Object} filter - Filter values; empty ones match everything
+   * @param {string} filter.tag - Exact tag
+   * @param {string} filter.text - Matched against username, name, tags and note
+   * @returns {Array<Object>} Matching entries, most recently added first
+   */
+  search({ tag = "", text = "" } = {}) {
+    const query = text.trim().toLowerCase();
+    return this.getAll().filter((entry) => {
+      if (tag && !entry.tags.includes(tag)) return false;
+      if (!query) return true;
+
+      return [entry.user.username, entry.user.name, entry.note, ...entry.tags]
+        .filter(Boolean)
+        .some((value) => value.toLowerCase().includes(query));
+    });
+  }
+
+  /**
+   * Serialize the collection for sharing
+   * @returns {string} JSON document ({ provider, exportedAt, favorites })
+   */
+  export() {
+    return JSON.stringify(
+      {
+        provider: this.providerId,
+        exportedAt: new Date().toISOString(),
+        favorites: this.getAll(),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Merge a collection from export(). Tags are combined with any already
+   * saved for the same user; a local note is kept over an imported one.
+   * @param {string} json - Exported JSON document
+   * @returns {number} Number of favorites imported
+   * @throws {Error} If the file isn't an export for this provider
+   */
+  import(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(i18n.t("favorites.importInvalid"));
+    }
+
+    const favorites = Array.isArray(data) ? data : data && data.favorites;
+    if (!Array.isArray(favorites)) {
+      throw new Error(i18n.t("favorites.importInvalid"));
+    }
+    if (data.provider && data.provider !== this.providerId) {
+      throw new Error(
+        i18n.t("favorites.importWrongProvider", { provider: data.provider })
+      );
+    }
+
+    const valid = favorites.filter(
+      (entry) => entry && entry.user && typeof entry.user.username === "string"
+    );
+    valid.forEach((entry) => {
+      const key = entry.user.username.toLowerCase();
+      const existing = this.entries[key];
+      const tags = Array.isArray(entry.tags) ? entry.tags : [];
+      const note = typeof entry.note === "string" ? entry.note : "";
+
+      this.entries[key] = {
+        user: existing ? existing.user : entry.user,
+        tags: this.normalizeTags([...(existing ? existing.tags : []), ...tags]),
+        note: (existing && existing.note) || note.trim(),
+        addedAt: existing
+          ? existing.addedAt
+          : Number(entry.addedAt) || Date.now(),
+      };
+    });
+    this.save();
+    return valid.length;
+  }
+
+  /**
+   * Clean up tags: trimmed, lowercase, without a leading "#" or duplicates
+   * @param {Array<string>|string} tags - Tags, or a comma-separated string
+   * @returns {Array<string>} Tags
+   */
+  normalizeTags(tags) {
+    const list = typeof tags === "string" ? tags.split(",") : tags || [];
+    return [
+      ...new Set(
+        list
+          .filter((tag) => typeof tag === "string")
+          .map((tag) => tag.trim().replace(/^#+/, "").toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+  }
+}
+
+// Export for use in other modules
+window.FavoritesStore = FavoritesStore;
@@ -0,0 +1,94 @@
+// Follow Store - Keeps follow state per username in localStorage
+class FollowStore {
+  /**
+   * @param {string} providerId - Provider the follows belong to, so GitHub
+   *   and GitLab accounts with the same name don't share state
+   */
+  constructor(providerId = "github") {
+    this.storageKey = `profileCard:following:${providerId}`;
+    this.entries = this.load();
+  }
+
+  /**
+   * Read stored follows
+   * @returns {Object} Entries keyed by lowercased username
+   */
+  load() {
+    try {
+      return JSON.parse(window.localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Write follows back to localStorage
+   */
+  save() {
+    try {
+      window.localStorage.setItem(
+        this.storageKey,
+        JSON.stringify(this.entries)
+      );
+    } catch (error) {
+      console.warn("Failed to save follow state:", error);
+    }
+  }
+
+  /**
+   * Check if a user is followed
+   * @param {string} username - Username
+   * @returns {boolean} True if followed
+   */
+  isFollowing(username) {
+    return Boolean(this.entries[username.toLowerCase()]);
+  }
+
+  /**
+   * Follow a user, keeping enough data to list them without refetching
+   * @param {Object} userData - Normalized user data
+   */
+  follow(userData) {
+    const key = userData.username.toLowerCase();
+    this.entries[key] = {
+      id: userData.id,
+      username: userData.username,
+      name: userData.name,
+      avatar: userData.avatar,
+      followedAt:
+        (this.entries[key] && this.entries[key].followedAt) || Date.now(),
+    };
+    this.save();
+  }
+
+  /**
+   * Unfollow a user
+   * @param {string} username - Username
+   */
+  unfollow(username) {
+    delete this.entries[username.toLowerCase()];
+    this.save();
+  }
+
+  /**
+   * Get a stored follow entry
+   * @param {string} username - Username
+   * @returns {Object|null} Entry ({ id, username, name, avatar, followedAt })
+   */
+  get(username) {
+    return this.entries[username.toLowerCase()] || null;
+  }
+
+  /**
+   * Get all followed users, most recently followed first
+   * @returns {Array<Object>} Follow entries
+   */
+  getAll() {
+    return Object.values(this.entries).sort(
+      (a, b) => b.followedAt - a.followedAt
+    );
+  }
+}
+
+// Export for use in other modules
+window.FollowStore = FollowStore;
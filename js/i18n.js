@@ -0,0 +1,243 @@
+// I18n - Message catalogs, locale detection and locale-aware formatting
+class I18n {
+  constructor() {
+    this.storageKey = "profileCard:locale";
+    this.fallbackLocale = "en";
+    this.catalogs = new Map(); // Messages keyed by locale id
+    this.defaultLocale = null; // From the page config, used until the user picks one
+    this.locale = null; // Resolved lazily, since catalogs register after this file
+    this.listeners = new Set();
+    this.formatters = new Map(); // Intl formatters by type, locale and options
+  }
+
+  /**
+   * Add a message catalog
+   * @param {string} locale - Locale id, e.g. "en" or "pt"
+   * @param {Object} messages - Nested messages; `languageName` is shown in the picker
+   */
+  register(locale, messages) {
+    this.catalogs.set(locale, messages);
+    this.locale = null;
+  }
+
+  /**
+   * Get the choices for the language picker
+   * @returns {Array<Object>} Locales ({ id, name })
+   */
+  getLocales() {
+    return [...this.catalogs.entries()].map(([id, messages]) => ({
+      id,
+      name: messages.languageName || id,
+    }));
+  }
+
+  /**
+   * Get the locale in effect: the user's choice, then the configured
+   * default, then the browser's languages, then English
+   * @returns {string} Locale id
+   */
+  getLocale() {
+    if (!this.locale) {
+      const browserLocales =
+        navigator.languages && navigator.languages.length > 0
+          ? navigator.languages
+          : [navigator.language];
+      const candidates = [
+        this.getStoredLocale(),
+        this.defaultLocale,
+        ...browserLocales,
+      ];
+
+      this.locale =
+        candidates.map((locale) => this.resolveLocale(locale)).find(Boolean) ||
+        this.fallbackLocale;
+    }
+    return this.locale;
+  }
+
+  /**
+   * Match a requested locale against the registered catalogs
+   * @param {string|null} locale - Locale tag, e.g. "pt-BR"
+   * @returns {string|null} Catalog id, falling back to the base language ("pt")
+   */
+  resolveLocale(locale) {
+    if (!locale) return null;
+    if (this.catalogs.has(locale)) return locale;
+
+    const language = locale.split("-")[0].toLowerCase();
+    return this.catalogs.has(language) ? language : null;
+  }
+
+  /**
+   * Read the user's stored choice
+   * @returns {string|null} Locale id
+   */
+  getStoredLocale() {
+    try {
+      return window.localStorage.getItem(this.storageKey);
+    } catch (error) {
+      // Storage can be unavailable (e.g. privacy mode); detect instead
+      return null;
+    }
+  }
+
+  /**
+   * Use a locale when the user hasn't picked one
+   * @param {string} locale - Locale tag
+   */
+  setDefaultLocale(locale) {
+    this.defaultLocale = locale;
+    this.locale = null;
+  }
+
+  /**
+   * Store and switch to a locale, notifying listeners
+   * @param {string} locale - Locale tag
+   * @returns {string} Locale id now in effect
+   */
+  setLocale(locale) {
+    const resolved = this.resolveLocale(locale);
+    if (!resolved) {
+      throw new Error(`Unknown locale: ${locale}`);
+    }
+
+    try {
+      window.localStorage.setItem(this.storageKey, resolved);
+    } catch (error) {
+      console.warn("Failed to save language:", error);
+    }
+
+    if (resolved !== this.getLocale()) {
+      this.locale = resolved;
+      this.listeners.forEach((listener) => listener(resolved));
+    }
+    return resolved;
+  }
+
+  /**
+   * Listen for locale changes
+   * @param {Function} listener - Called with the new locale id
+   * @returns {Function} Removes the listener
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Translate a message. Missing keys fall back to English, then the key.
+   * @param {string} key - Dot-separated key, e.g. "errors.notFound"
+   * @param {Object} params - Values for {placeholders}; `count` picks the plural form
+   * @returns {string} Translated text
+   */
+  t(key, params = {}) {
+    const message =
+      this.lookup(this.getLocale(), key) ??
+      this.lookup(this.fallbackLocale, key) ??
+      key;
+    const text =
+      typeof message === "string"
+        ? message
+        : message[this.getFormatter(Intl.PluralRules).select(params.count)] ??
+          message.other;
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === "number" ? this.formatNumber(value) : value;
+    });
+  }
+
+  /**
+   * Find a message in a catalog
+   * @param {string} locale - Locale id
+   * @param {string} key - Dot-separated key
+   * @returns {string|Object|undefined} Message, or plural forms ({ one, other, ... })
+   */
+  lookup(locale, key) {
+    const message = key
+      .split(".")
+      .reduce(
+        (node, part) => (node && typeof node === "object" ? node[part] : node),
+        this.catalogs.get(locale)
+      );
+
+    if (typeof message === "string") return message;
+    return message && typeof message.other === "string" ? message : undefined;
+  }
+
+  /**
+   * Get a cached Intl formatter for the current locale
+   * @param {Function} Formatter - Intl constructor, e.g. Intl.NumberFormat
+   * @param {Object} options - Formatter options
+   * @returns {Object} Formatter instance
+   */
+  getFormatter(Formatter, options = {}) {
+    const locale = this.getLocale();
+    const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+
+    if (!this.formatters.has(key)) {
+      this.formatters.set(key, new Formatter(locale, options));
+    }
+    return this.formatters.get(key);
+  }
+
+  /**
+   * Format a number for the current locale
+   * @param {number} value - Number to format
+   * @param {Object} options - Intl.NumberFormat options
+   * @returns {string} Formatted number
+   */
+  formatNumber(value, options = {}) {
+    return this.getFormatter(Intl.NumberFormat, options).format(value);
+  }
+
+  /**
+   * Format a number in short form, e.g. 1.2K or 1,2 mil
+   * @param {number} value - Number to format
+   * @returns {string} Formatted number
+   */
+  formatCompact(value) {
+    return this.formatNumber(value, {
+      notation: "compact",
+      maximumFractionDigits: 1,
+    });
+  }
+
+  /**
+   * Format a date for the current locale
+   * @param {string|number|Date} value - Date or ISO date string
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {string} Formatted date
+   */
+  formatDate(
+    value,
+    options = { year: "numeric", month: "long", day: "numeric" }
+  ) {
+    return this.getFormatter(Intl.DateTimeFormat, options).format(
+      new Date(value)
+    );
+  }
+
+  /**
+   * Translate static markup. Elements name their text with data-i18n="key"
+   * and attributes with data-i18n-attr="placeholder:key, aria-label:key".
+   * @param {Document|ShadowRoot|HTMLElement} root - Where to look for elements
+   */
+  translateDom(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach((element) => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll("[data-i18n-attr]").forEach((element) => {
+      element.dataset.i18nAttr.split(",").forEach((pair) => {
+        const [attribute, key] = pair.split(":").map((part) => part.trim());
+        element.setAttribute(attribute, this.t(key));
+      });
+    });
+  }
+}
+
+// Shared instance; the catalogs in js/locales/ register themselves with it
+window.I18n = I18n;
+window.i18n = new I18n();
@@ -0,0 +1,143 @@
+// Keyboard Shortcuts - Single-key shortcuts and the help overlay that lists them
+class KeyboardShortcuts {
+  constructor() {
+    this.previousFocus = null;
+
+    this.elements = {
+      modal: document.getElementById("shortcutsModal"),
+      closeBtn: document.getElementById("shortcutsCloseBtn"),
+      openBtn: document.getElementById("shortcutsBtn"),
+    };
+
+    this.handleDocumentKeydown = (event) => this.handleShortcut(event);
+  }
+
+  /**
+   * Listen for shortcuts and bind the help overlay
+   * @param {Object} callbacks - Object containing callback functions
+   * @param {Function} callbacks.onRandom - "r": load a random profile
+   * @param {Function} callbacks.onFollow - "f": follow or unfollow the displayed profile
+   * @param {Function} callbacks.onSearch - "/": focus the search box
+   */
+  bindEvents(callbacks) {
+    this.callbacks = callbacks;
+    document.addEventListener("keydown", this.handleDocumentKeydown);
+
+    const { modal, openBtn } = this.elements;
+    openBtn?.addEventListener("click", () => this.openHelp());
+    if (!modal) return;
+
+    modal.addEventListener("keydown", (event) => this.handleHelpKeydown(event));
+    modal.addEventListener("click", (event) => {
+      if (
+        event.target === modal ||
+        event.target.closest("[data-action='close']")
+      ) {
+        this.closeHelp();
+      }
+    });
+  }
+
+  /**
+   * Run the shortcut for a key press, unless the user is typing or a
+   * dialog is open
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleShortcut(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey) return;
+    if (event.altKey || this.isTyping(event.target)) return;
+    if (document.body.classList.contains("modal-open")) return;
+
+    const actions = {
+      r: this.callbacks.onRandom,
+      f: this.callbacks.onFollow,
+      "/": this.callbacks.onSearch,
+      "?": () => this.openHelp(),
+    };
+    const action = actions[event.key];
+    if (!action) return;
+
+    // Keep "/" from being typed into the search box it focuses
+    event.preventDefault();
+    action();
+  }
+
+  /**
+   * Check if a key press belongs to a text field
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True for inputs, textareas, selects and editable content
+   */
+  isTyping(target) {
+    return (
+      target instanceof HTMLElement &&
+      (target.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+    );
+  }
+
+  /**
+   * Open the list of shortcuts
+   */
+  openHelp() {
+    const { modal, closeBtn } = this.elements;
+    if (!modal || this.isHelpOpen()) return;
+
+    this.previousFocus = document.activeElement;
+    modal.classList.remove("hidden");
+    document.body.classList.add("modal-open");
+    closeBtn?.focus();
+  }
+
+  /**
+   * Close the list of shortcuts and return focus to where it was
+   */
+  closeHelp() {
+    const { modal } = this.elements;
+    if (!this.isHelpOpen()) return;
+
+    modal.classList.add("hidden");
+    document.body.classList.remove("modal-open");
+
+    if (this.previousFocus && typeof this.previousFocus.focus === "function") {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  /**
+   * Check if the help overlay is open
+   * @returns {boolean} True if visible
+   */
+  isHelpOpen() {
+    return (
+      Boolean(this.elements.modal) &&
+      !this.elements.modal.classList.contains("hidden")
+    );
+  }
+
+  /**
+   * Close on Escape and keep Tab focus on the close button, the overlay's
+   * only control
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleHelpKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      this.closeHelp();
+    } else if (event.key === "Tab") {
+      event.preventDefault();
+      this.elements.closeBtn?.focus();
+    }
+  }
+
+  /**
+   * Stop listening for shortcuts
+   */
+  destroy() {
+    document.removeEventListener("keydown", this.handleDocumentKeydown);
+    this.closeHelp();
+  }
+}
+
+// Export for use in other modules
+window.KeyboardShortcuts = KeyboardShortcuts;
@@ -0,0 +1,314 @@
+// English - Message catalog, and the fallback for keys other catalogs lack
+i18n.register("en", {
+  languageName: "English",
+
+  header: {
+    documentTitle: "User Profile Card",
+    title: "User Profile",
+    theme: "Theme",
+    language: "Language",
+    refresh: "Refresh user data",
+  },
+
+  themes: {
+    system: "System",
+    light: "Light",
+    dark: "Dark",
+    "high-contrast": "High contrast",
+  },
+
+  search: {
+    placeholder: "Search users...",
+    label: "Search {provider} users",
+    noResults: "No matching users",
+    invalidUsername: "Please enter a valid username",
+  },
+
+  auth: {
+    title: "{provider} access token",
+    help:
+      "Anonymous requests are rate limited (60 per hour on GitHub). A personal " +
+      "access token raises the limit. It is stored only in this browser.",
+    tokenLabel: "Personal access token",
+    save: "Save token",
+    signOut: "Sign out",
+    anonymous: "Anonymous",
+    checking: "Checking token...",
+    signedIn: "Signed in",
+    invalid: "Token rejected",
+    buttonLabel: "{status}. Open token settings",
+    pasteToken: "Please paste a personal access token.",
+    signedInNotice: "Signed in. Requests now use your token.",
+    signedOutNotice: "Signed out. Using anonymous requests.",
+  },
+
+  following: {
+    title: "Following",
+    empty: "You're not following anyone yet.",
+    unfollow: "Unfollow",
+    unfollowUser: "Unfollow {username}",
+    followed: "Following {name} successfully!",
+    unfollowed: "Unfollowed {name} successfully!",
+    followFailed: "Couldn't follow {name}: {error}",
+    unfollowFailed: "Couldn't unfollow {name}: {error}",
+  },
+
+  states: {
+    loading: "Loading user data...",
+    errorTitle: "Oops! Something went wrong",
+    back: "Go Back",
+    retry: "Try Again",
+    rateLimitResetsIn: "Rate limit resets in {time}",
+    rateLimitReset: "Rate limit has reset. You can try again.",
+  },
+
+  profile: {
+    avatar: "User avatar",
+    avatarOf: "{name}'s avatar",
+    viewOn: "View on {provider}",
+    followers: "Followers",
+    following: "Following",
+    repositories: "Repositories",
+    location: "Location:",
+    email: "Email:",
+    company: "Company:",
+    website: "Website:",
+    memberSince: "Member since:",
+    noBio: "No bio available",
+    noLocation: "Location not specified",
+    notAvailable: "Not available",
+    notSpecified: "Not specified",
+    loading: "Loading profile...",
+    loaded: "Loaded profile for {name}",
+    refreshed: "Profile refreshed successfully!",
+    statChange: "{stat} {delta}",
+    statsChanged: "Updated: {changes}",
+    cachedAt: "Cached {time}",
+    organizations: "Organizations",
+    organization: "{name} organization",
+    social: "Social:",
+    socialAccount: "{provider}: {label}",
+    socialOther: "Link",
+    cachedHint:
+      "You're offline. This is the copy saved at this time; it refreshes when the connection is back.",
+  },
+
+  repos: {
+    title: "Top Repositories",
+    loading: "Loading repositories...",
+    empty: "No public repositories yet.",
+    noDescription: "No description",
+    updated: "Updated {date}",
+    languages: "Languages: {list}",
+    otherLanguages: "Other",
+  },
+
+  actions: {
+    follow: "Follow",
+    following: "Following",
+    message: "Message",
+    compare: "Compare",
+    export: "Export",
+    favorite: "Favorite",
+    favorited: "Favorited",
+  },
+
+  export: {
+    png: "PNG image",
+    svg: "SVG image",
+    vcard: "Contact card (.vcf)",
+    json: "JSON",
+    markdown: "Markdown",
+    saved: "Saved {filename}",
+    failed: "Could not export the profile. Please try again.",
+  },
+
+  compare: {
+    title: "Compare Profiles",
+    firstUsername: "First username",
+    secondUsername: "Second username",
+    versus: "vs",
+    submit: "Compare",
+    back: "Back to profile",
+    invalid: "Please enter two valid usernames",
+    loading: "Loading profiles...",
+    accountAge: "Account age",
+  },
+
+  duration: {
+    years: { one: "{count} year", other: "{count} years" },
+    months: { one: "{count} month", other: "{count} months" },
+    days: { one: "{count} day", other: "{count} days" },
+    minutes: { one: "{count} minute", other: "{count} minutes" },
+  },
+
+  message: {
+    title: "Message",
+    titleFor: "Message {name}",
+    close: "Close",
+    subject: "Subject",
+    body: "Message",
+    sendVia: "Send via",
+    repository: "Repository",
+    cancel: "Cancel",
+    send: "Send",
+    draftRestored: "Draft restored",
+    draftSaved: "Draft saved",
+    emailChannel: "Email ({email})",
+    issueChannel: "{provider} issue",
+    discussionChannel: "{provider} discussion",
+    noChannel:
+      "{name} has no public email and no repositories that accept issues, " +
+      "so there is no way to contact them from here. Your draft is still saved.",
+    emailHint: "Opens your email app with this message filled in.",
+    issueHint:
+      "Opens a new issue on {repo} in a new tab, filled in with this message.",
+    discussionHint:
+      "Opens a new discussion on {repo} in a new tab, filled in with this message.",
+    defaultSubject: "Message for @{username}",
+    openedEmail: "Opened your email app to message {name}",
+    openedIssue: "Opened a new issue on {repo}",
+    openedDiscussion: "Opened a new discussion on {repo}",
+  },
+
+  shortcuts: {
+    title: "Keyboard shortcuts",
+    random: "Load a random profile",
+    follow: "Follow or unfollow the displayed profile",
+    search: "Search users",
+    help: "Show this list",
+    close: "Close dialogs and menus",
+  },
+
+  notifications: {
+    title: "Notifications",
+    unread: {
+      one: "Notifications, {count} unread",
+      other: "Notifications, {count} unread",
+    },
+    empty: "No notifications yet.",
+    clear: "Clear",
+    dismiss: "Dismiss notification",
+    undo: "Undo",
+    retry: "Retry",
+  },
+
+  activity: {
+    title: "Recent Activity",
+    loading: "Loading activity...",
+    empty: "No recent public activity.",
+    total: {
+      one: "{count} event in the last {days} days",
+      other: "{count} events in the last {days} days",
+    },
+    pushCommits: {
+      one: "Pushed {count} commit to {ref} in {repo}",
+      other: "Pushed {count} commits to {ref} in {repo}",
+    },
+    pushes: {
+      one: "Pushed to {ref} in {repo}",
+      other: "Pushed {count} times to {ref} in {repo}",
+    },
+    pullRequest: {
+      opened: "Opened pull request “{title}” in {repo}",
+      closed: "Closed pull request “{title}” in {repo}",
+      merged: "Merged pull request “{title}” in {repo}",
+      reopened: "Reopened pull request “{title}” in {repo}",
+    },
+    issue: {
+      opened: "Opened issue “{title}” in {repo}",
+      closed: "Closed issue “{title}” in {repo}",
+      reopened: "Reopened issue “{title}” in {repo}",
+    },
+    star: "Starred {repo}",
+    release: "Released {title} in {repo}",
+  },
+
+  favorites: {
+    title: "Favorites",
+    empty: "No favorites yet. Star a profile to save it here.",
+    noMatches: "No favorites match these filters.",
+    filter: "Filter by name, tag or note",
+    tagFilter: "Tag",
+    allTags: "All tags",
+    filterByTag: "Show favorites tagged {tag}",
+    tags: "Tags",
+    tagsHint: "Separate tags with commas",
+    note: "Note",
+    edit: "Edit",
+    editUser: "Edit tags and note for {username}",
+    remove: "Remove",
+    removeUser: "Remove {username} from favorites",
+    save: "Save",
+    cancel: "Cancel",
+    export: "Export",
+    import: "Import",
+    added: "{name} added to favorites",
+    removed: "{name} removed from favorites",
+    saved: "Saved tags and note for {name}",
+    exported: {
+      one: "Exported {count} favorite",
+      other: "Exported {count} favorites",
+    },
+    imported: {
+      one: "Imported {count} favorite",
+      other: "Imported {count} favorites",
+    },
+    importInvalid: "That file isn't a favorites export.",
+    importWrongProvider:
+      "Those favorites are from {provider}; switch to it to import them.",
+  },
+
+  history: {
+    title: "Recently viewed",
+    previous: "Previous profile",
+    next: "Next profile",
+    clear: "Clear history",
+    open: "Show {name} again",
+  },
+
+  autoRefresh: {
+    label: "Auto-refresh",
+    every: "Refresh this profile every {interval}",
+    enabled: "Auto-refresh on. This profile refreshes every {interval}.",
+    disabled: "Auto-refresh off.",
+  },
+
+  errors: {
+    unexpected: "An unexpected error occurred. Please try again.",
+    unexpectedShort: "An unexpected error occurred.",
+    networkShort: "A network error occurred.",
+    connectionLost:
+      "You're offline. Recently viewed profiles are still available.",
+    appTitle: "Application Error",
+    appFailed: "Failed to initialize the application. Please refresh the page.",
+    reload: "Refresh Page",
+    notFound: "User not found. Please try again.",
+    forbidden: "Access to this resource is forbidden.",
+    tooManyRequests: "Too many requests. Please try again later.",
+    server: "Server error. Please try again later.",
+    http: "HTTP error! status: {status}",
+    network: "Network error. Please check your internet connection.",
+    auth: "Your access token is invalid or has expired. Update it in settings or sign out.",
+    noToken: "No access token configured.",
+    signInToFollow: "Sign in with an access token to follow users.",
+    noUsernames: "No usernames configured for random {provider} profiles.",
+    poolNotFound:
+      "“{name}” was not found, so there are no random profiles to pick from.",
+    poolUnsupported:
+      "{provider} can't list organization members or followers for random profiles.",
+    slowDown:
+      "GitHub asked us to slow down after too many requests in a short time.",
+    rateLimit:
+      "API rate limit exhausted: all {limit} requests for this hour have been used.",
+    timeout: {
+      one: "The request timed out after {count} second. Please try again.",
+      other: "The request timed out after {count} seconds. Please try again.",
+    },
+    tokensUnsupported: "{provider} does not support access tokens.",
+    searchUnsupported: "Search is not supported for {provider}.",
+    reposUnsupported: "Repositories are not supported for {provider}.",
+    activityUnsupported: "Activity is not supported for {provider}.",
+    followUnsupported: "Following is not supported for {provider}.",
+  },
+});
@@ -0,0 +1,320 @@
+// Spanish - Message catalog
+i18n.register("es", {
+  languageName: "Español",
+
+  header: {
+    documentTitle: "Tarjeta de Perfil",
+    title: "Perfil de Usuario",
+    theme: "Tema",
+    language: "Idioma",
+    refresh: "Actualizar datos del usuario",
+  },
+
+  themes: {
+    system: "Sistema",
+    light: "Claro",
+    dark: "Oscuro",
+    "high-contrast": "Alto contraste",
+  },
+
+  search: {
+    placeholder: "Buscar usuarios...",
+    label: "Buscar usuarios de {provider}",
+    noResults: "No hay usuarios que coincidan",
+    invalidUsername: "Introduce un nombre de usuario válido",
+  },
+
+  auth: {
+    title: "Token de acceso de {provider}",
+    help:
+      "Las solicitudes anónimas tienen un límite (60 por hora en GitHub). Un token " +
+      "de acceso personal aumenta ese límite. Solo se guarda en este navegador.",
+    tokenLabel: "Token de acceso personal",
+    save: "Guardar token",
+    signOut: "Cerrar sesión",
+    anonymous: "Anónimo",
+    checking: "Comprobando token...",
+    signedIn: "Sesión iniciada",
+    invalid: "Token rechazado",
+    buttonLabel: "{status}. Abrir ajustes del token",
+    pasteToken: "Pega un token de acceso personal.",
+    signedInNotice: "Sesión iniciada. Las solicitudes ahora usan tu token.",
+    signedOutNotice: "Sesión cerrada. Usando solicitudes anónimas.",
+  },
+
+  following: {
+    title: "Siguiendo",
+    empty: "Todavía no sigues a nadie.",
+    unfollow: "Dejar de seguir",
+    unfollowUser: "Dejar de seguir a {username}",
+    followed: "¡Ahora sigues a {name}!",
+    unfollowed: "Has dejado de seguir a {name}.",
+    followFailed: "No se pudo seguir a {name}: {error}",
+    unfollowFailed: "No se pudo dejar de seguir a {name}: {error}",
+  },
+
+  states: {
+    loading: "Cargando datos del usuario...",
+    errorTitle: "¡Vaya! Algo salió mal",
+    back: "Volver",
+    retry: "Reintentar",
+    rateLimitResetsIn: "El límite de solicitudes se restablece en {time}",
+    rateLimitReset:
+      "El límite de solicitudes se ha restablecido. Ya puedes reintentar.",
+  },
+
+  profile: {
+    avatar: "Avatar del usuario",
+    avatarOf: "Avatar de {name}",
+    viewOn: "Ver en {provider}",
+    followers: "Seguidores",
+    following: "Siguiendo",
+    repositories: "Repositorios",
+    location: "Ubicación:",
+    email: "Correo:",
+    company: "Empresa:",
+    website: "Sitio web:",
+    memberSince: "Miembro desde:",
+    noBio: "Sin biografía",
+    noLocation: "Ubicación no especificada",
+    notAvailable: "No disponible",
+    notSpecified: "No especificada",
+    loading: "Cargando perfil...",
+    loaded: "Perfil de {name} cargado",
+    refreshed: "¡Perfil actualizado!",
+    statChange: "{stat} {delta}",
+    statsChanged: "Actualizado: {changes}",
+    cachedAt: "Guardado el {time}",
+    organizations: "Organizaciones",
+    organization: "Organización {name}",
+    social: "Redes sociales:",
+    socialAccount: "{provider}: {label}",
+    socialOther: "Enlace",
+    cachedHint:
+      "Estás sin conexión. Esta es la copia guardada a esa hora; se actualizará cuando vuelva la conexión.",
+  },
+
+  repos: {
+    title: "Repositorios Destacados",
+    loading: "Cargando repositorios...",
+    empty: "Aún no hay repositorios públicos.",
+    noDescription: "Sin descripción",
+    updated: "Actualizado el {date}",
+    languages: "Lenguajes: {list}",
+    otherLanguages: "Otros",
+  },
+
+  actions: {
+    follow: "Seguir",
+    following: "Siguiendo",
+    message: "Mensaje",
+    compare: "Comparar",
+    export: "Exportar",
+    favorite: "Favorito",
+    favorited: "En favoritos",
+  },
+
+  export: {
+    png: "Imagen PNG",
+    svg: "Imagen SVG",
+    vcard: "Tarjeta de contacto (.vcf)",
+    json: "JSON",
+    markdown: "Markdown",
+    saved: "{filename} guardado",
+    failed: "No se pudo exportar el perfil. Inténtalo de nuevo.",
+  },
+
+  compare: {
+    title: "Comparar Perfiles",
+    firstUsername: "Primer usuario",
+    secondUsername: "Segundo usuario",
+    versus: "vs",
+    submit: "Comparar",
+    back: "Volver al perfil",
+    invalid: "Introduce dos nombres de usuario válidos",
+    loading: "Cargando perfiles...",
+    accountAge: "Antigüedad de la cuenta",
+  },
+
+  duration: {
+    years: { one: "{count} año", other: "{count} años" },
+    months: { one: "{count} mes", other: "{count} meses" },
+    days: { one: "{count} día", other: "{count} días" },
+    minutes: { one: "{count} minuto", other: "{count} minutos" },
+  },
+
+  message: {
+    title: "Mensaje",
+    titleFor: "Mensaje para {name}",
+    close: "Cerrar",
+    subject: "Asunto",
+    body: "Mensaje",
+    sendVia: "Enviar por",
+    repository: "Repositorio",
+    cancel: "Cancelar",
+    send: "Enviar",
+    draftRestored: "Borrador recuperado",
+    draftSaved: "Borrador guardado",
+    emailChannel: "Correo ({email})",
+    issueChannel: "Issue en {provider}",
+    discussionChannel: "Discusión en {provider}",
+    noChannel:
+      "{name} no tiene correo público ni repositorios que acepten issues, " +
+      "así que no hay forma de contactar desde aquí. Tu borrador sigue guardado.",
+    emailHint: "Abre tu aplicación de correo con este mensaje ya escrito.",
+    issueHint:
+      "Abre una nueva issue en {repo} en otra pestaña, con este mensaje ya escrito.",
+    discussionHint:
+      "Abre una nueva discusión en {repo} en otra pestaña, con este mensaje ya escrito.",
+    defaultSubject: "Mensaje para @{username}",
+    openedEmail: "Se abrió tu aplicación de correo para escribir a {name}",
+    openedIssue: "Se abrió una nueva issue en {repo}",
+    openedDiscussion: "Se abrió una nueva discusión en {repo}",
+  },
+
+  shortcuts: {
+    title: "Atajos de teclado",
+    random: "Cargar un perfil aleatorio",
+    follow: "Seguir o dejar de seguir el perfil mostrado",
+    search: "Buscar usuarios",
+    help: "Mostrar esta lista",
+    close: "Cerrar diálogos y menús",
+  },
+
+  notifications: {
+    title: "Notificaciones",
+    unread: {
+      one: "Notificaciones, {count} sin leer",
+      other: "Notificaciones, {count} sin leer",
+    },
+    empty: "Todavía no hay notificaciones.",
+    clear: "Borrar",
+    dismiss: "Descartar notificación",
+    undo: "Deshacer",
+    retry: "Reintentar",
+  },
+
+  activity: {
+    title: "Actividad Reciente",
+    loading: "Cargando actividad...",
+    empty: "No hay actividad pública reciente.",
+    total: {
+      one: "{count} evento en los últimos {days} días",
+      other: "{count} eventos en los últimos {days} días",
+    },
+    pushCommits: {
+      one: "Subió {count} commit a {ref} en {repo}",
+      other: "Subió {count} commits a {ref} en {repo}",
+    },
+    pushes: {
+      one: "Subió cambios a {ref} en {repo}",
+      other: "Subió cambios {count} veces a {ref} en {repo}",
+    },
+    pullRequest: {
+      opened: "Abrió el pull request «{title}» en {repo}",
+      closed: "Cerró el pull request «{title}» en {repo}",
+      merged: "Fusionó el pull request «{title}» en {repo}",
+      reopened: "Reabrió el pull request «{title}» en {repo}",
+    },
+    issue: {
+      opened: "Abrió la issue «{title}» en {repo}",
+      closed: "Cerró la issue «{title}» en {repo}",
+      reopened: "Reabrió la issue «{title}» en {repo}",
+    },
+    star: "Marcó {repo} con una estrella",
+    release: "Publicó {title} en {repo}",
+  },
+
+  favorites: {
+    title: "Favoritos",
+    empty:
+      "Todavía no hay favoritos. Marca un perfil con una estrella para guardarlo aquí.",
+    noMatches: "Ningún favorito coincide con estos filtros.",
+    filter: "Filtrar por nombre, etiqueta o nota",
+    tagFilter: "Etiqueta",
+    allTags: "Todas las etiquetas",
+    filterByTag: "Mostrar favoritos con la etiqueta {tag}",
+    tags: "Etiquetas",
+    tagsHint: "Separa las etiquetas con comas",
+    note: "Nota",
+    edit: "Editar",
+    editUser: "Editar etiquetas y nota de {username}",
+    remove: "Quitar",
+    removeUser: "Quitar a {username} de favoritos",
+    save: "Guardar",
+    cancel: "Cancelar",
+    export: "Exportar",
+    import: "Importar",
+    added: "{name} añadido a favoritos",
+    removed: "{name} quitado de favoritos",
+    saved: "Etiquetas y nota de {name} guardadas",
+    exported: {
+      one: "{count} favorito exportado",
+      other: "{count} favoritos exportados",
+    },
+    imported: {
+      one: "{count} favorito importado",
+      other: "{count} favoritos importados",
+    },
+    importInvalid: "Ese archivo no es una exportación de favoritos.",
+    importWrongProvider:
+      "Esos favoritos son de {provider}; cámbiate a él para importarlos.",
+  },
+
+  history: {
+    title: "Vistos recientemente",
+    previous: "Perfil anterior",
+    next: "Perfil siguiente",
+    clear: "Borrar historial",
+    open: "Mostrar de nuevo a {name}",
+  },
+
+  autoRefresh: {
+    label: "Actualización automática",
+    every: "Actualizar este perfil cada {interval}",
+    enabled:
+      "Actualización automática activada. Este perfil se actualiza cada {interval}.",
+    disabled: "Actualización automática desactivada.",
+  },
+
+  errors: {
+    unexpected: "Se produjo un error inesperado. Inténtalo de nuevo.",
+    unexpectedShort: "Se produjo un error inesperado.",
+    networkShort: "Se produjo un error de red.",
+    connectionLost:
+      "Estás sin conexión. Los perfiles vistos recientemente siguen disponibles.",
+    appTitle: "Error de la aplicación",
+    appFailed: "No se pudo iniciar la aplicación. Recarga la página.",
+    reload: "Recargar página",
+    notFound: "Usuario no encontrado. Inténtalo de nuevo.",
+    forbidden: "El acceso a este recurso está prohibido.",
+    tooManyRequests: "Demasiadas solicitudes. Inténtalo más tarde.",
+    server: "Error del servidor. Inténtalo más tarde.",
+    http: "¡Error HTTP! estado: {status}",
+    network: "Error de red. Comprueba tu conexión a internet.",
+    auth: "Tu token de acceso no es válido o ha caducado. Actualízalo en los ajustes o cierra sesión.",
+    noToken: "No hay ningún token de acceso configurado.",
+    signInToFollow:
+      "Inicia sesión con un token de acceso para seguir usuarios.",
+    noUsernames:
+      "No hay usuarios configurados para perfiles aleatorios de {provider}.",
+    poolNotFound:
+      "No se encontró «{name}», así que no hay perfiles aleatorios para elegir.",
+    poolUnsupported:
+      "{provider} no permite listar miembros de organizaciones ni seguidores para perfiles aleatorios.",
+    slowDown:
+      "GitHub nos pidió ir más despacio tras demasiadas solicitudes en poco tiempo.",
+    rateLimit:
+      "Límite de la API agotado: se han usado las {limit} solicitudes de esta hora.",
+    timeout: {
+      one: "La solicitud no respondió en {count} segundo. Inténtalo de nuevo.",
+      other:
+        "La solicitud no respondió en {count} segundos. Inténtalo de nuevo.",
+    },
+    tokensUnsupported: "{provider} no admite tokens de acceso.",
+    searchUnsupported: "La búsqueda no está disponible en {provider}.",
+    reposUnsupported: "Los repositorios no están disponibles en {provider}.",
+    activityUnsupported: "La actividad no está disponible en {provider}.",
+    followUnsupported: "Seguir usuarios no está disponible en {provider}.",
+  },
+});
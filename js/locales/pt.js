@@ -0,0 +1,318 @@
+// Portuguese - Message catalog
+i18n.register("pt", {
+  languageName: "Português",
+
+  header: {
+    documentTitle: "Cartão de Perfil",
+    title: "Perfil de Usuário",
+    theme: "Tema",
+    language: "Idioma",
+    refresh: "Atualizar dados do usuário",
+  },
+
+  themes: {
+    system: "Sistema",
+    light: "Claro",
+    dark: "Escuro",
+    "high-contrast": "Alto contraste",
+  },
+
+  search: {
+    placeholder: "Buscar usuários...",
+    label: "Buscar usuários do {provider}",
+    noResults: "Nenhum usuário encontrado",
+    invalidUsername: "Digite um nome de usuário válido",
+  },
+
+  auth: {
+    title: "Token de acesso do {provider}",
+    help:
+      "Requisições anônimas têm limite de uso (60 por hora no GitHub). Um token " +
+      "de acesso pessoal aumenta esse limite. Ele fica salvo apenas neste navegador.",
+    tokenLabel: "Token de acesso pessoal",
+    save: "Salvar token",
+    signOut: "Sair",
+    anonymous: "Anônimo",
+    checking: "Verificando token...",
+    signedIn: "Conectado",
+    invalid: "Token recusado",
+    buttonLabel: "{status}. Abrir configurações do token",
+    pasteToken: "Cole um token de acesso pessoal.",
+    signedInNotice: "Conectado. As requisições agora usam seu token.",
+    signedOutNotice: "Desconectado. Usando requisições anônimas.",
+  },
+
+  following: {
+    title: "Seguindo",
+    empty: "Você ainda não segue ninguém.",
+    unfollow: "Deixar de seguir",
+    unfollowUser: "Deixar de seguir {username}",
+    followed: "Agora você segue {name}!",
+    unfollowed: "Você deixou de seguir {name}.",
+    followFailed: "Não foi possível seguir {name}: {error}",
+    unfollowFailed: "Não foi possível deixar de seguir {name}: {error}",
+  },
+
+  states: {
+    loading: "Carregando dados do usuário...",
+    errorTitle: "Ops! Algo deu errado",
+    back: "Voltar",
+    retry: "Tentar novamente",
+    rateLimitResetsIn: "O limite de requisições é renovado em {time}",
+    rateLimitReset:
+      "O limite de requisições foi renovado. Você já pode tentar novamente.",
+  },
+
+  profile: {
+    avatar: "Avatar do usuário",
+    avatarOf: "Avatar de {name}",
+    viewOn: "Ver no {provider}",
+    followers: "Seguidores",
+    following: "Seguindo",
+    repositories: "Repositórios",
+    location: "Localização:",
+    email: "E-mail:",
+    company: "Empresa:",
+    website: "Site:",
+    memberSince: "Membro desde:",
+    noBio: "Nenhuma bio disponível",
+    noLocation: "Localização não informada",
+    notAvailable: "Não disponível",
+    notSpecified: "Não informado",
+    loading: "Carregando perfil...",
+    loaded: "Perfil de {name} carregado",
+    refreshed: "Perfil atualizado!",
+    statChange: "{stat} {delta}",
+    statsChanged: "Atualizado: {changes}",
+    cachedAt: "Salvo em {time}",
+    organizations: "Organizações",
+    organization: "Organização {name}",
+    social: "Redes sociais:",
+    socialAccount: "{provider}: {label}",
+    socialOther: "Link",
+    cachedHint:
+      "Você está offline. Esta é a cópia salva neste horário; ela será atualizada quando a conexão voltar.",
+  },
+
+  repos: {
+    title: "Principais Repositórios",
+    loading: "Carregando repositórios...",
+    empty: "Nenhum repositório público ainda.",
+    noDescription: "Sem descrição",
+    updated: "Atualizado em {date}",
+    languages: "Linguagens: {list}",
+    otherLanguages: "Outras",
+  },
+
+  actions: {
+    follow: "Seguir",
+    following: "Seguindo",
+    message: "Mensagem",
+    compare: "Comparar",
+    export: "Exportar",
+    favorite: "Favoritar",
+    favorited: "Favorito",
+  },
+
+  export: {
+    png: "Imagem PNG",
+    svg: "Imagem SVG",
+    vcard: "Cartão de contato (.vcf)",
+    json: "JSON",
+    markdown: "Markdown",
+    saved: "{filename} salvo",
+    failed: "Não foi possível exportar o perfil. Tente novamente.",
+  },
+
+  compare: {
+    title: "Comparar Perfis",
+    firstUsername: "Primeiro usuário",
+    secondUsername: "Segundo usuário",
+    versus: "vs",
+    submit: "Comparar",
+    back: "Voltar ao perfil",
+    invalid: "Digite dois nomes de usuário válidos",
+    loading: "Carregando perfis...",
+    accountAge: "Idade da conta",
+  },
+
+  duration: {
+    years: { one: "{count} ano", other: "{count} anos" },
+    months: { one: "{count} mês", other: "{count} meses" },
+    days: { one: "{count} dia", other: "{count} dias" },
+    minutes: { one: "{count} minuto", other: "{count} minutos" },
+  },
+
+  message: {
+    title: "Mensagem",
+    titleFor: "Mensagem para {name}",
+    close: "Fechar",
+    subject: "Assunto",
+    body: "Mensagem",
+    sendVia: "Enviar por",
+    repository: "Repositório",
+    cancel: "Cancelar",
+    send: "Enviar",
+    draftRestored: "Rascunho restaurado",
+    draftSaved: "Rascunho salvo",
+    emailChannel: "E-mail ({email})",
+    issueChannel: "Issue no {provider}",
+    discussionChannel: "Discussão no {provider}",
+    noChannel:
+      "{name} não tem e-mail público nem repositórios que aceitem issues, " +
+      "então não há como entrar em contato por aqui. Seu rascunho continua salvo.",
+    emailHint: "Abre seu aplicativo de e-mail com esta mensagem preenchida.",
+    issueHint:
+      "Abre uma nova issue em {repo} em outra aba, preenchida com esta mensagem.",
+    discussionHint:
+      "Abre uma nova discussão em {repo} em outra aba, preenchida com esta mensagem.",
+    defaultSubject: "Mensagem para @{username}",
+    openedEmail: "Aplicativo de e-mail aberto para {name}",
+    openedIssue: "Nova issue aberta em {repo}",
+    openedDiscussion: "Nova discussão aberta em {repo}",
+  },
+
+  shortcuts: {
+    title: "Atalhos de teclado",
+    random: "Carregar um perfil aleatório",
+    follow: "Seguir ou deixar de seguir o perfil exibido",
+    search: "Buscar usuários",
+    help: "Mostrar esta lista",
+    close: "Fechar diálogos e menus",
+  },
+
+  notifications: {
+    title: "Notificações",
+    unread: {
+      one: "Notificações, {count} não lida",
+      other: "Notificações, {count} não lidas",
+    },
+    empty: "Nenhuma notificação ainda.",
+    clear: "Limpar",
+    dismiss: "Dispensar notificação",
+    undo: "Desfazer",
+    retry: "Tentar novamente",
+  },
+
+  activity: {
+    title: "Atividade Recente",
+    loading: "Carregando atividade...",
+    empty: "Nenhuma atividade pública recente.",
+    total: {
+      one: "{count} evento nos últimos {days} dias",
+      other: "{count} eventos nos últimos {days} dias",
+    },
+    pushCommits: {
+      one: "Enviou {count} commit para {ref} em {repo}",
+      other: "Enviou {count} commits para {ref} em {repo}",
+    },
+    pushes: {
+      one: "Enviou para {ref} em {repo}",
+      other: "Enviou {count} vezes para {ref} em {repo}",
+    },
+    pullRequest: {
+      opened: "Abriu o pull request “{title}” em {repo}",
+      closed: "Fechou o pull request “{title}” em {repo}",
+      merged: "Fez merge do pull request “{title}” em {repo}",
+      reopened: "Reabriu o pull request “{title}” em {repo}",
+    },
+    issue: {
+      opened: "Abriu a issue “{title}” em {repo}",
+      closed: "Fechou a issue “{title}” em {repo}",
+      reopened: "Reabriu a issue “{title}” em {repo}",
+    },
+    star: "Marcou {repo} com estrela",
+    release: "Publicou {title} em {repo}",
+  },
+
+  favorites: {
+    title: "Favoritos",
+    empty:
+      "Nenhum favorito ainda. Marque um perfil com estrela para salvá-lo aqui.",
+    noMatches: "Nenhum favorito corresponde a estes filtros.",
+    filter: "Filtrar por nome, tag ou nota",
+    tagFilter: "Tag",
+    allTags: "Todas as tags",
+    filterByTag: "Mostrar favoritos com a tag {tag}",
+    tags: "Tags",
+    tagsHint: "Separe as tags com vírgulas",
+    note: "Nota",
+    edit: "Editar",
+    editUser: "Editar tags e nota de {username}",
+    remove: "Remover",
+    removeUser: "Remover {username} dos favoritos",
+    save: "Salvar",
+    cancel: "Cancelar",
+    export: "Exportar",
+    import: "Importar",
+    added: "{name} adicionado aos favoritos",
+    removed: "{name} removido dos favoritos",
+    saved: "Tags e nota de {name} salvas",
+    exported: {
+      one: "{count} favorito exportado",
+      other: "{count} favoritos exportados",
+    },
+    imported: {
+      one: "{count} favorito importado",
+      other: "{count} favoritos importados",
+    },
+    importInvalid: "Esse arquivo não é uma exportação de favoritos.",
+    importWrongProvider:
+      "Esses favoritos são de {provider}; mude para ele para importá-los.",
+  },
+
+  history: {
+    title: "Vistos recentemente",
+    previous: "Perfil anterior",
+    next: "Próximo perfil",
+    clear: "Limpar histórico",
+    open: "Mostrar {name} novamente",
+  },
+
+  autoRefresh: {
+    label: "Atualização automática",
+    every: "Atualizar este perfil a cada {interval}",
+    enabled:
+      "Atualização automática ativada. Este perfil é atualizado a cada {interval}.",
+    disabled: "Atualização automática desativada.",
+  },
+
+  errors: {
+    unexpected: "Ocorreu um erro inesperado. Tente novamente.",
+    unexpectedShort: "Ocorreu um erro inesperado.",
+    networkShort: "Ocorreu um erro de rede.",
+    connectionLost:
+      "Você está offline. Perfis vistos recentemente continuam disponíveis.",
+    appTitle: "Erro na aplicação",
+    appFailed: "Não foi possível iniciar a aplicação. Recarregue a página.",
+    reload: "Recarregar página",
+    notFound: "Usuário não encontrado. Tente novamente.",
+    forbidden: "O acesso a este recurso é proibido.",
+    tooManyRequests: "Requisições demais. Tente novamente mais tarde.",
+    server: "Erro no servidor. Tente novamente mais tarde.",
+    http: "Erro HTTP! status: {status}",
+    network: "Erro de rede. Verifique sua conexão com a internet.",
+    auth: "Seu token de acesso é inválido ou expirou. Atualize-o nas configurações ou saia.",
+    noToken: "Nenhum token de acesso configurado.",
+    signInToFollow: "Entre com um token de acesso para seguir usuários.",
+    noUsernames:
+      "Nenhum usuário configurado para perfis aleatórios do {provider}.",
+    poolNotFound:
+      "“{name}” não foi encontrado, então não há perfis aleatórios para escolher.",
+    poolUnsupported:
+      "O {provider} não permite listar membros de organizações ou seguidores para perfis aleatórios.",
+    slowDown:
+      "O GitHub pediu para diminuirmos o ritmo após muitas requisições em pouco tempo.",
+    rateLimit:
+      "Limite da API esgotado: todas as {limit} requisições desta hora foram usadas.",
+    timeout: {
+      one: "A requisição não respondeu em {count} segundo. Tente novamente.",
+      other: "A requisição não respondeu em {count} segundos. Tente novamente.",
+    },
+    tokensUnsupported: "{provider} não aceita tokens de acesso.",
+    searchUnsupported: "A busca não é suportada no {provider}.",
+    reposUnsupported: "Repositórios não são suportados no {provider}.",
+    activityUnsupported: "Atividade não é suportada no {provider}.",
+    followUnsupported: "Seguir usuários não é suportado no {provider}.",
+  },
+});
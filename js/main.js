@@ -1,46 +1,11 @@
 // Main entry point for the Profile Card Application
 // This file initializes the application and handles global events
 
-// Add CSS animations for notifications
-const style = document.createElement("style");
-style.textContent = `
-    @keyframes slideInRight {
-        from {
-            transform: translateX(100%);
-            opacity: 0;
-        }
-        to {
-            transform: translateX(0);
-            opacity: 1;
-        }
-    }
-    
-    @keyframes slideOutRight {
-        from {
-            transform: translateX(0);
-            opacity: 1;
-        }
-        to {
-            transform: translateX(100%);
-            opacity: 0;
-        }
-    }
-    
-    .action-btn.following {
-        background: #10b981 !important;
-    }
-    
-    .action-btn.following:hover {
-        background: #059669 !important;
-    }
-`;
-document.head.appendChild(style);
-
 // Initialize the application when DOM is loaded
 document.addEventListener("DOMContentLoaded", () => {
   try {
-    // Initialize the main application
-    const app = initializeApp();
+    // Initialize the main application, using page-level config if provided
+    const app = initializeApp(window.profileCardConfig || {});
 
     // Make app globally accessible for debugging
     window.app = app;
@@ -72,8 +37,8 @@ document.addEventListener("DOMContentLoaded", () => {
       max-width: 400px;
     `;
     errorContainer.innerHTML = `
-      <h2>Application Error</h2>
-      <p>Failed to initialize the application. Please refresh the page.</p>
+      <h2>${i18n.t("errors.appTitle")}</h2>
+      <p>${i18n.t("errors.appFailed")}</p>
       <button onclick="location.reload()" style="
         background: white;
         color: #ef4444;
@@ -82,18 +47,32 @@ document.addEventListener("DOMContentLoaded", () => {
         border-radius: 4px;
         cursor: pointer;
         margin-top: 10px;
-      ">Refresh Page</button>
+      ">${i18n.t("errors.reload")}</button>
     `;
     document.body.appendChild(errorContainer);
   }
 });
 
-// Handle page visibility changes
+// Cache the app shell, avatars and profiles for offline use. Service workers
+// need http(s), so opening index.html straight from disk skips this.
+if (
+  "serviceWorker" in navigator &&
+  window.location.protocol.startsWith("http") &&
+  (window.profileCardConfig || {}).serviceWorker !== false
+) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register("sw.js")
+      .catch((error) =>
+        console.warn("Service worker registration failed:", error)
+      );
+  });
+}
+
+// Pause auto-refresh while the tab is hidden
 document.addEventListener("visibilitychange", () => {
-  if (!document.hidden && window.app) {
-    // Optional: refresh data when user returns to tab
-    // This can be enabled if you want automatic refresh
-    // window.app.refreshCurrentUser();
+  if (window.app) {
+    window.app.handleVisibilityChange(document.hidden);
   }
 });
 
@@ -116,18 +95,14 @@ window.addEventListener("resize", () => {
 window.addEventListener("online", () => {
   console.log("Connection restored");
   if (window.app) {
-    // Optionally refresh data when connection is restored
-    // window.app.refreshCurrentUser();
+    window.app.handleOnline();
   }
 });
 
 window.addEventListener("offline", () => {
   console.log("Connection lost");
   if (window.app) {
-    window.app.domManager.showNotification(
-      "Connection lost. Some features may not work.",
-      "error"
-    );
+    window.app.handleOffline();
   }
 });
 
@@ -141,9 +116,9 @@ window.addEventListener("error", (event) => {
     event.error.message &&
     !event.error.message.includes("ResizeObserver")
   ) {
-    if (window.app && window.app.domManager) {
-      window.app.domManager.showNotification(
-        "An unexpected error occurred.",
+    if (window.app && window.app.notifications) {
+      window.app.notifications.notify(
+        i18n.t("errors.unexpectedShort"),
         "error"
       );
     }
@@ -154,11 +129,8 @@ window.addEventListener("error", (event) => {
 window.addEventListener("unhandledrejection", (event) => {
   console.error("Unhandled promise rejection:", event.reason);
 
-  if (window.app && window.app.domManager) {
-    window.app.domManager.showNotification(
-      "A network error occurred.",
-      "error"
-    );
+  if (window.app && window.app.notifications) {
+    window.app.notifications.notify(i18n.t("errors.networkShort"), "error");
   }
 
   // Prevent the default handler
@@ -177,8 +149,9 @@ if (
     loadRandom: () => window.app?.loadRandomUser(),
     getStats: () => window.app?.getStats(),
     getCurrentUser: () => window.app?.getCurrentUser(),
-    showNotification: (message, type = "info") =>
-      window.app?.domManager.showNotification(message, type),
+    clearCache: () => window.app?.apiService.clearCache(),
+    notify: (message, type = "info") =>
+      window.app?.notifications.notify(message, type),
   };
 
   console.log("Development tools available:", window.devTools);
@@ -0,0 +1,344 @@
+// Message Composer - Accessible modal for writing a message to a profile's owner
+class MessageComposer {
+  constructor() {
+    this.draftsKey = "profileCard:drafts";
+    this.draftDelay = 400; // ms between the last keystroke and autosave
+    this.draftTimeout = null;
+    this.user = null;
+    this.channels = [];
+    this.previousFocus = null;
+
+    this.elements = {
+      modal: document.getElementById("messageModal"),
+      dialog: document.getElementById("messageDialog"),
+      title: document.getElementById("messageModalTitle"),
+      form: document.getElementById("messageForm"),
+      subject: document.getElementById("messageSubject"),
+      body: document.getElementById("messageBody"),
+      channels: document.getElementById("messageChannels"),
+      repoField: document.getElementById("messageRepoField"),
+      repo: document.getElementById("messageRepo"),
+      hint: document.getElementById("messageHint"),
+      draftStatus: document.getElementById("messageDraftStatus"),
+      sendBtn: document.getElementById("messageSendBtn"),
+    };
+  }
+
+  /**
+   * Bind modal event listeners
+   * @param {Object} callbacks - Object containing callback functions
+   * @param {Function} callbacks.onSend - Called with ({ user, channel, repo, subject, body })
+   */
+  bindEvents(callbacks) {
+    const { modal, form, subject, body, channels, repo } = this.elements;
+    if (!modal || !form) return;
+
+    modal.addEventListener("keydown", (event) => this.handleKeydown(event));
+
+    // Close on the backdrop or any close button
+    modal.addEventListener("click", (event) => {
+      if (
+        event.target === modal ||
+        event.target.closest("[data-action='close']")
+      ) {
+        this.close();
+      }
+    });
+
+    [subject, body].forEach((field) => {
+      field.addEventListener("input", () => this.scheduleDraftSave());
+    });
+
+    channels.addEventListener("change", () => this.updateChannel());
+    repo.addEventListener("change", () => this.updateHint());
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+
+      const channel = this.getSelectedChannel();
+      if (!channel) return;
+
+      callbacks.onSend({
+        user: this.user,
+        channel,
+        repo: channel.repos[repo.selectedIndex] || null,
+        subject: subject.value.trim(),
+        body: body.value.trim(),
+      });
+    });
+  }
+
+  /**
+   * Open the composer for a user
+   * @param {Object} user - Normalized user data
+   * @param {Array<Object>} channels - Available ways to reach the user
+   *   ({ id, label, repos }); an empty list means there is no contact channel
+   */
+  open(user, channels) {
+    const { modal, title, subject, body } = this.elements;
+    if (!modal) return;
+
+    this.user = user;
+    this.channels = channels;
+    this.previousFocus = document.activeElement;
+
+    title.textContent = i18n.t("message.titleFor", { name: user.name });
+    const draft = this.loadDraft(user.username);
+    subject.value = draft.subject;
+    body.value = draft.body;
+    this.setDraftStatus(draft.savedAt ? i18n.t("message.draftRestored") : "");
+
+    this.renderChannels();
+    modal.classList.remove("hidden");
+    document.body.classList.add("modal-open");
+    subject.focus();
+  }
+
+  /**
+   * Close the composer and return focus to where it was
+   */
+  close() {
+    const { modal } = this.elements;
+    if (!modal || modal.classList.contains("hidden")) return;
+
+    // Don't lose what was typed since the last autosave
+    this.saveDraft();
+
+    modal.classList.add("hidden");
+    document.body.classList.remove("modal-open");
+
+    if (this.previousFocus && typeof this.previousFocus.focus === "function") {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  /**
+   * Check if the composer is open
+   * @returns {boolean} True if visible
+   */
+  isOpen() {
+    return (
+      Boolean(this.elements.modal) &&
+      !this.elements.modal.classList.contains("hidden")
+    );
+  }
+
+  /**
+   * Close on Escape and keep Tab focus inside the dialog
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      this.close();
+      return;
+    }
+
+    if (event.key !== "Tab") return;
+
+    const focusable = [
+      ...this.elements.dialog.querySelectorAll(
+        "button, [href], input, select, textarea, [tabindex]:not([tabindex='-1'])"
+      ),
+    ].filter((element) => !element.disabled && element.offsetParent !== null);
+
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Render the "Send via" options
+   */
+  renderChannels() {
+    const { channels, sendBtn } = this.elements;
+    channels.querySelectorAll(".message-channel").forEach((option) => {
+      option.remove();
+    });
+
+    this.channels.forEach((channel, index) => {
+      const label = document.createElement("label");
+      label.className = "message-channel";
+
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = "messageChannel";
+      radio.value = channel.id;
+      radio.checked = index === 0;
+
+      label.append(radio, ` ${channel.label}`);
+      channels.appendChild(label);
+    });
+
+    channels.classList.toggle("hidden", this.channels.length === 0);
+    sendBtn.disabled = this.channels.length === 0;
+    this.updateChannel();
+  }
+
+  /**
+   * Get the selected channel
+   * @returns {Object|null} Channel ({ id, label, repos })
+   */
+  getSelectedChannel() {
+    const checked = this.elements.channels.querySelector("input:checked");
+    return checked
+      ? this.channels.find((channel) => channel.id === checked.value)
+      : null;
+  }
+
+  /**
+   * Show the repository picker for channels that post on a repository
+   */
+  updateChannel() {
+    const { repoField, repo } = this.elements;
+    const channel = this.getSelectedChannel();
+    const repos = channel ? channel.repos : [];
+
+    repo.innerHTML = "";
+    repos.forEach((item) => {
+      const option = document.createElement("option");
+      option.value = item.name;
+      option.textContent = item.name;
+      repo.appendChild(option);
+    });
+
+    repoField.classList.toggle("hidden", repos.length === 0);
+    this.updateHint();
+  }
+
+  /**
+   * Explain what sending will do, or that there is no way to send
+   */
+  updateHint() {
+    const { hint, repo } = this.elements;
+    const channel = this.getSelectedChannel();
+
+    if (!channel) {
+      hint.textContent = i18n.t("message.noChannel", { name: this.user.name });
+      hint.classList.add("warning");
+      return;
+    }
+
+    hint.classList.remove("warning");
+    hint.textContent = i18n.t(`message.${channel.id}Hint`, {
+      repo: repo.value,
+    });
+  }
+
+  /**
+   * Autosave the draft shortly after typing stops
+   */
+  scheduleDraftSave() {
+    clearTimeout(this.draftTimeout);
+    this.draftTimeout = setTimeout(() => {
+      this.saveDraft();
+      this.setDraftStatus(i18n.t("message.draftSaved"));
+    }, this.draftDelay);
+  }
+
+  /**
+   * Read all drafts
+   * @returns {Object} Drafts keyed by lowercased username
+   */
+  loadDrafts() {
+    try {
+      return JSON.parse(window.localStorage.getItem(this.draftsKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Read the draft for a user
+   * @param {string} username - Username
+   * @returns {Object} Draft ({ subject, body, savedAt })
+   */
+  loadDraft(username) {
+    return (
+      this.loadDrafts()[username.toLowerCase()] || {
+        subject: "",
+        body: "",
+        savedAt: null,
+      }
+    );
+  }
+
+  /**
+   * Save the current subject and body for the open user
+   */
+  saveDraft() {
+    clearTimeout(this.draftTimeout);
+    if (!this.user) return;
+
+    const drafts = this.loadDrafts();
+    const key = this.user.username.toLowerCase();
+    const subject = this.elements.subject.value;
+    const body = this.elements.body.value;
+
+    if (subject.trim() || body.trim()) {
+      drafts[key] = { subject, body, savedAt: Date.now() };
+    } else {
+      delete drafts[key];
+    }
+
+    try {
+      window.localStorage.setItem(this.draftsKey, JSON.stringify(drafts));
+    } catch (error) {
+      console.warn("Failed to save message draft:", error);
+    }
+  }
+
+  /**
+   * Delete the draft for a user, e.g. after it was sent
+   * @param {string} username - Username
+   */
+  clearDraft(username) {
+    const drafts = this.loadDrafts();
+    delete drafts[username.toLowerCase()];
+
+    try {
+      window.localStorage.setItem(this.draftsKey, JSON.stringify(drafts));
+    } catch (error) {
+      console.warn("Failed to clear message draft:", error);
+    }
+  }
+
+  /**
+   * Empty the form after sending so closing doesn't save it again
+   */
+  reset() {
+    this.elements.subject.value = "";
+    this.elements.body.value = "";
+    this.setDraftStatus("");
+  }
+
+  /**
+   * Show the autosave status
+   * @param {string} message - Status text
+   */
+  setDraftStatus(message) {
+    if (this.elements.draftStatus) {
+      this.elements.draftStatus.textContent = message;
+    }
+  }
+
+  /**
+   * Clean up timers
+   */
+  cleanup() {
+    clearTimeout(this.draftTimeout);
+  }
+}
+
+// Export for use in other modules
+window.MessageComposer = MessageComposer;
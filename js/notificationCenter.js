@@ -0,0 +1,373 @@
+// Notification Center - Stacked toasts with actions, and a history of recent notifications
+class NotificationCenter {
+  /**
+   * @param {Object} options - Notification options
+   * @param {Function} options.announce - Reads a message to screen readers (message, priority)
+   * @param {number} options.duration - ms a toast stays up, doubled for errors and toasts with an action
+   * @param {number} options.maxVisible - Toasts shown at once; the oldest is dismissed first
+   * @param {number} options.historySize - Notifications kept in the history panel
+   */
+  constructor(options = {}) {
+    this.announce = options.announce || (() => {});
+    this.duration = options.duration || 4000;
+    this.maxVisible = options.maxVisible || 4;
+    this.historySize = options.historySize || 20;
+
+    this.toasts = new Map(); // Visible toasts by id
+    this.history = []; // Newest first
+    this.unread = 0;
+    this.nextId = 1;
+
+    this.elements = {
+      stack: document.getElementById("notificationStack"),
+      historyBtn: document.getElementById("notificationsBtn"),
+      historyCount: document.getElementById("notificationsCount"),
+      historyPanel: document.getElementById("notificationsPanel"),
+      historyList: document.getElementById("notificationsList"),
+      historyEmpty: document.getElementById("notificationsEmpty"),
+      clearBtn: document.getElementById("clearNotificationsBtn"),
+    };
+  }
+
+  /**
+   * Bind the history panel
+   */
+  bindEvents() {
+    const { historyBtn, historyPanel, clearBtn } = this.elements;
+    if (!historyBtn || !historyPanel) return;
+
+    historyBtn.addEventListener("click", () => this.toggleHistory());
+    clearBtn?.addEventListener("click", () => {
+      this.clearHistory();
+      historyBtn.focus();
+    });
+
+    historyPanel.parentElement.addEventListener("keydown", (event) => {
+      if (event.key === "Escape" && this.isHistoryOpen()) {
+        this.toggleHistory(false);
+        historyBtn.focus();
+      }
+    });
+
+    // Close when focus moves anywhere outside the button and panel
+    historyPanel.parentElement.addEventListener("focusout", (event) => {
+      if (!historyPanel.parentElement.contains(event.relatedTarget)) {
+        this.toggleHistory(false);
+      }
+    });
+  }
+
+  /**
+   * Show a notification. A toast with the same message and type as one
+   * still on screen is collapsed into it with a count instead.
+   * @param {string} message - Text to show
+   * @param {string} type - "success", "info" or "error"
+   * @param {Object} options - Notification options
+   * @param {Object} options.action - Button on the toast ({ label, onClick })
+   * @param {boolean} options.toast - False to only record it in the history,
+   *   e.g. when the message is already on screen
+   * @returns {number|null} Toast id, or null if no toast was shown
+   */
+  notify(message, type = "success", options = {}) {
+    const { action = null, toast = true } = options;
+    this.addToHistory(message, type);
+    if (!toast) return null;
+
+    this.announce(message, type === "error" ? "assertive" : "polite");
+
+    const duplicate = [...this.toasts.values()].find(
+      (entry) => entry.message === message && entry.type === type
+    );
+    if (duplicate) {
+      duplicate.count += 1;
+      duplicate.action = action;
+      this.renderToast(duplicate);
+      this.startTimer(duplicate);
+      return duplicate.id;
+    }
+
+    const entry = {
+      id: this.nextId++,
+      message,
+      type,
+      action,
+      count: 1,
+      element: null,
+      timer: null,
+      remaining: 0,
+      startedAt: 0,
+    };
+    this.toasts.set(entry.id, entry);
+    this.createToast(entry);
+    this.startTimer(entry);
+
+    if (this.toasts.size > this.maxVisible) {
+      this.dismiss(this.toasts.keys().next().value);
+    }
+    return entry.id;
+  }
+
+  /**
+   * Build a toast's element and add it to the stack
+   * @param {Object} entry - Toast entry
+   */
+  createToast(entry) {
+    const element = document.createElement("div");
+    // Styled in styles.css, so the colors follow the active theme
+    element.className = `notification notification-${entry.type}`;
+    element.addEventListener("click", (event) => {
+      if (event.target.closest("[data-action='dismiss']")) {
+        this.dismiss(entry.id);
+      } else if (event.target.closest("[data-action='run']")) {
+        const { action } = entry;
+        this.dismiss(entry.id);
+        action?.onClick();
+      }
+    });
+
+    // Hold the toast while the pointer or keyboard focus is on it
+    element.addEventListener("mouseenter", () => this.pauseTimer(entry));
+    element.addEventListener("mouseleave", () => this.resumeTimer(entry));
+    element.addEventListener("focusin", () => this.pauseTimer(entry));
+    element.addEventListener("focusout", (event) => {
+      if (!element.contains(event.relatedTarget)) {
+        this.resumeTimer(entry);
+      }
+    });
+
+    entry.element = element;
+    this.renderToast(entry);
+    (this.elements.stack || document.body).appendChild(element);
+  }
+
+  /**
+   * Fill in a toast's message, count and buttons
+   * @param {Object} entry - Toast entry
+   */
+  renderToast(entry) {
+    const { element } = entry;
+    const text = document.createElement("p");
+    text.className = "notification-message";
+    text.textContent = entry.message;
+
+    if (entry.count > 1) {
+      const count = document.createElement("span");
+      count.className = "notification-count";
+      count.textContent = `×${i18n.formatNumber(entry.count)}`;
+      text.appendChild(count);
+    }
+
+    const children = [text];
+    if (entry.action) {
+      const actionBtn = document.createElement("button");
+      actionBtn.type = "button";
+      actionBtn.className = "notification-action";
+      actionBtn.dataset.action = "run";
+      actionBtn.textContent = entry.action.label;
+      children.push(actionBtn);
+    }
+
+    const dismissBtn = document.createElement("button");
+    dismissBtn.type = "button";
+    dismissBtn.className = "notification-dismiss";
+    dismissBtn.dataset.action = "dismiss";
+    dismissBtn.setAttribute("aria-label", i18n.t("notifications.dismiss"));
+    dismissBtn.textContent = "×";
+    children.push(dismissBtn);
+
+    element.replaceChildren(...children);
+  }
+
+  /**
+   * Remove a toast. It stays in the history.
+   * @param {number} id - Toast id from notify()
+   */
+  dismiss(id) {
+    const entry = this.toasts.get(id);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this.toasts.delete(id);
+
+    const { element } = entry;
+    element.classList.add("leaving");
+    setTimeout(() => element.remove(), 300);
+  }
+
+  /**
+   * Start (or restart) a toast's countdown to dismissal
+   * @param {Object} entry - Toast entry
+   * @param {number} delay - ms until dismissal; defaults to the toast's full duration
+   */
+  startTimer(entry, delay = this.getDuration(entry)) {
+    clearTimeout(entry.timer);
+    entry.remaining = delay;
+    entry.startedAt = Date.now();
+    entry.timer = setTimeout(() => this.dismiss(entry.id), delay);
+  }
+
+  /**
+   * Stop a toast's countdown, remembering the time it had left
+   * @param {Object} entry - Toast entry
+   */
+  pauseTimer(entry) {
+    if (!entry.timer) return;
+
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.remaining -= Date.now() - entry.startedAt;
+  }
+
+  /**
+   * Continue a paused toast's countdown
+   * @param {Object} entry - Toast entry
+   */
+  resumeTimer(entry) {
+    if (entry.timer || !this.toasts.has(entry.id)) return;
+
+    // Leave at least a moment to read it after the pointer moves away
+    this.startTimer(entry, Math.max(entry.remaining, 1000));
+  }
+
+  /**
+   * Get how long a toast stays up
+   * @param {Object} entry - Toast entry
+   * @returns {number} Duration in ms
+   */
+  getDuration(entry) {
+    return entry.type === "error" || entry.action
+      ? this.duration * 2
+      : this.duration;
+  }
+
+  /**
+   * Record a notification in the history. Repeats of the newest entry
+   * bump its count instead of adding a row.
+   * @param {string} message - Notification text
+   * @param {string} type - Notification type
+   */
+  addToHistory(message, type) {
+    const [latest] = this.history;
+    if (latest && latest.message === message && latest.type === type) {
+      latest.count += 1;
+      latest.at = Date.now();
+    } else {
+      this.history.unshift({ message, type, count: 1, at: Date.now() });
+      this.history.length = Math.min(this.history.length, this.historySize);
+    }
+
+    if (!this.isHistoryOpen()) {
+      this.unread += 1;
+    }
+    this.renderHistory();
+  }
+
+  /**
+   * Get the recorded notifications
+   * @returns {Array<Object>} Entries ({ message, type, count, at }), newest first
+   */
+  getHistory() {
+    return this.history.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Forget all recorded notifications
+   */
+  clearHistory() {
+    this.history = [];
+    this.unread = 0;
+    this.renderHistory();
+  }
+
+  /**
+   * Render the history list and the unread count. Also runs when the
+   * language changes, to reformat the times.
+   */
+  renderHistory() {
+    const { historyBtn, historyCount, historyList, historyEmpty, clearBtn } =
+      this.elements;
+    if (!historyList) return;
+
+    historyList.replaceChildren(
+      ...this.history.map((entry) => {
+        const item = document.createElement("li");
+        item.className = `notification-entry notification-entry-${entry.type}`;
+
+        const text = document.createElement("span");
+        text.className = "notification-entry-message";
+        text.textContent =
+          entry.count > 1
+            ? `${entry.message} ×${i18n.formatNumber(entry.count)}`
+            : entry.message;
+
+        const time = document.createElement("time");
+        time.className = "notification-entry-time";
+        time.dateTime = new Date(entry.at).toISOString();
+        time.textContent = i18n.formatDate(entry.at, {
+          hour: "numeric",
+          minute: "2-digit",
+        });
+
+        item.append(text, time);
+        return item;
+      })
+    );
+
+    historyEmpty?.classList.toggle("hidden", this.history.length > 0);
+    clearBtn?.classList.toggle("hidden", this.history.length === 0);
+
+    if (historyCount) {
+      historyCount.textContent = i18n.formatNumber(this.unread);
+      historyCount.classList.toggle("hidden", this.unread === 0);
+    }
+    historyBtn?.setAttribute(
+      "aria-label",
+      this.unread > 0
+        ? i18n.t("notifications.unread", { count: this.unread })
+        : i18n.t("notifications.title")
+    );
+  }
+
+  /**
+   * Show or hide the history panel. Opening it marks everything as read.
+   * @param {boolean} show - Force open (true) or closed (false); toggles if omitted
+   */
+  toggleHistory(show) {
+    const { historyBtn, historyPanel } = this.elements;
+    if (!historyPanel) return;
+
+    const shouldShow = show === undefined ? !this.isHistoryOpen() : show;
+    historyPanel.classList.toggle("hidden", !shouldShow);
+    historyBtn?.setAttribute("aria-expanded", String(shouldShow));
+
+    if (shouldShow) {
+      this.unread = 0;
+      this.renderHistory();
+    }
+  }
+
+  /**
+   * Check if the history panel is open
+   * @returns {boolean} True if visible
+   */
+  isHistoryOpen() {
+    return (
+      Boolean(this.elements.historyPanel) &&
+      !this.elements.historyPanel.classList.contains("hidden")
+    );
+  }
+
+  /**
+   * Remove every toast and stop their timers
+   */
+  cleanup() {
+    this.toasts.forEach((entry) => {
+      clearTimeout(entry.timer);
+      entry.element.remove();
+    });
+    this.toasts.clear();
+  }
+}
+
+// Export for use in other modules
+window.NotificationCenter = NotificationCenter;
@@ -0,0 +1,443 @@
+// Profile Card Element - <profile-card> custom element for embedding cards in other pages
+class ProfileCardElement extends HTMLElement {
+  static get observedAttributes() {
+    return ["username", "provider", "api-root", "theme"];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.innerHTML = `<style>${ProfileCardElement.styles}</style>${ProfileCardElement.markup}`;
+
+    i18n.translateDom(this.shadowRoot);
+
+    this.domManager = new DomManager(this.shadowRoot);
+    this.removeLocaleListener = null;
+    this.apiService = null;
+    this.user = null;
+    this.loadScheduled = false;
+    this.loadController = null; // Aborted when the username changes mid-load
+  }
+
+  connectedCallback() {
+    this.removeLocaleListener = i18n.onChange(() => this.applyLocale());
+    this.scheduleLoad();
+  }
+
+  disconnectedCallback() {
+    // Cancel any request still in flight
+    this.loadController?.abort();
+    this.domManager.cleanup();
+    this.removeLocaleListener?.();
+    this.removeLocaleListener = null;
+  }
+
+  /**
+   * Re-render labels and the loaded profile in the page's new language
+   */
+  applyLocale() {
+    this.domManager.translate();
+    if (this.user) {
+      this.domManager.displayUserData(this.user);
+    }
+  }
+
+  /**
+   * Reload when the profile source changes; themes are handled in CSS
+   * @param {string} name - Attribute name
+   * @param {string|null} oldValue - Previous value
+   * @param {string|null} newValue - New value
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue || name === "theme") return;
+
+    if (name === "provider" || name === "api-root") {
+      this.apiService = null;
+    }
+    this.scheduleLoad();
+  }
+
+  /**
+   * Load once after a batch of attribute changes, not once per attribute
+   */
+  scheduleLoad() {
+    if (this.loadScheduled || !this.isConnected) return;
+
+    this.loadScheduled = true;
+    queueMicrotask(() => {
+      this.loadScheduled = false;
+      this.load();
+    });
+  }
+
+  /**
+   * Fetch and render the profile named by the username attribute, or a
+   * random one when it is missing
+   * @param {Object} options - Fetch options ({ forceRefresh })
+   * @returns {Promise<Object|null>} Loaded user data, or null on failure
+   */
+  async load(options = {}) {
+    this.loadController?.abort();
+    this.loadController = new AbortController();
+    const { signal } = this.loadController;
+    const username = (this.getAttribute("username") || "").trim();
+    const apiService = this.getApiService();
+
+    this.domManager.showLoadingState();
+    this.setAttribute("aria-busy", "true");
+
+    try {
+      const userData = username
+        ? await apiService.fetchUserData(username, { ...options, signal })
+        : await apiService.fetchRandomUser({ signal });
+      if (signal.aborted) return null;
+
+      this.user = userData;
+      this.domManager.displayUserData(userData);
+      this.domManager.showProfileCard();
+      this.dispatch("profile-loaded", { user: userData });
+      return userData;
+    } catch (error) {
+      if (signal.aborted) return null;
+
+      this.user = null;
+      this.domManager.showErrorState(error.message);
+      this.dispatch("profile-error", {
+        username,
+        error,
+        message: error.message,
+      });
+      return null;
+    } finally {
+      if (!signal.aborted) {
+        this.removeAttribute("aria-busy");
+      }
+    }
+  }
+
+  /**
+   * Refetch the current profile, bypassing the cache
+   * @returns {Promise<Object|null>} Loaded user data
+   */
+  refresh() {
+    return this.load({ forceRefresh: true });
+  }
+
+  /**
+   * Get the ApiService for this card's provider. Cards with the same
+   * provider share one, so they share its cache and rate-limit state.
+   * @returns {ApiService} API service
+   */
+  getApiService() {
+    if (this.apiService) return this.apiService;
+
+    const provider = this.getAttribute("provider") || "github";
+    const apiRoot = this.getAttribute("api-root");
+    const key = `${provider}|${apiRoot || ""}`;
+
+    if (!ProfileCardElement.services.has(key)) {
+      ProfileCardElement.services.set(
+        key,
+        new ApiService({
+          provider,
+          providerOptions: apiRoot ? { apiRoot } : {},
+        })
+      );
+    }
+    this.apiService = ProfileCardElement.services.get(key);
+    return this.apiService;
+  }
+
+  /**
+   * Fire an event that crosses the shadow boundary
+   * @param {string} type - Event name
+   * @param {Object} detail - Event detail
+   */
+  dispatch(type, detail) {
+    this.dispatchEvent(
+      new CustomEvent(type, { detail, bubbles: true, composed: true })
+    );
+  }
+}
+
+// ApiService instances keyed by provider and API root
+ProfileCardElement.services = new Map();
+
+// Same element IDs as index.html, so DomManager can render into the shadow
+// root. data-i18n labels follow the page's language (see I18n.translateDom).
+ProfileCardElement.markup = `
+  <div id="loadingState" class="state">
+    <div class="spinner"></div>
+    <p data-i18n="profile.loading">Loading profile...</p>
+  </div>
+
+  <div id="errorState" class="state hidden" role="alert">
+    <p id="errorMessage"></p>
+  </div>
+
+  <article id="profileCard" class="profile-card hidden" part="card">
+    <div class="profile-header">
+      <img id="userAvatar" class="avatar" src="" alt="User avatar">
+      <div>
+        <h2 id="userName" class="user-name"></h2>
+        <p id="userTitle" class="user-title"></p>
+        <p id="userLocation" class="user-location"></p>
+        <a id="userSource" class="source-badge" target="_blank" rel="noopener noreferrer"></a>
+      </div>
+    </div>
+
+    <div class="profile-stats">
+      <div class="stat-item">
+        <span id="followersCount" class="stat-number">0</span>
+        <span class="stat-label" data-i18n="profile.followers">Followers</span>
+      </div>
+      <div class="stat-item">
+        <span id="followingCount" class="stat-number">0</span>
+        <span class="stat-label" data-i18n="profile.following">Following</span>
+      </div>
+      <div class="stat-item">
+        <span id="reposCount" class="stat-number">0</span>
+        <span class="stat-label" data-i18n="profile.repositories">Repositories</span>
+      </div>
+    </div>
+
+    <div class="profile-details">
+      <div class="detail-item">
+        <span class="detail-label" data-i18n="profile.email">Email:</span>
+        <span id="userEmail" class="detail-value">-</span>
+      </div>
+      <div class="detail-item">
+        <span class="detail-label" data-i18n="profile.company">Company:</span>
+        <span id="userCompany" class="detail-value">-</span>
+      </div>
+      <div class="detail-item">
+        <span class="detail-label" data-i18n="profile.website">Website:</span>
+        <a id="userWebsite" href="#" class="detail-value link" target="_blank" rel="noopener noreferrer">-</a>
+      </div>
+      <div class="detail-item">
+        <span class="detail-label" data-i18n="profile.memberSince">Member since:</span>
+        <span id="userJoinDate" class="detail-value">-</span>
+      </div>
+    </div>
+
+    <div class="profile-bio">
+      <p id="userBio" class="bio-text"></p>
+    </div>
+  </article>
+`;
+
+// Page styles don't reach into the shadow root. The --card-* properties do,
+// so a page can restyle every card without a theme attribute.
+ProfileCardElement.styles = `
+  :host {
+    --pc-background: var(--card-background, #ffffff);
+    --pc-surface: var(--card-surface, #f8fafc);
+    --pc-border: var(--card-border, #e2e8f0);
+    --pc-text: var(--card-text, #1f2937);
+    --pc-muted: var(--card-muted, #6b7280);
+    --pc-accent: var(--card-accent, #4f46e5);
+    display: block;
+    max-width: 600px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+    line-height: 1.6;
+    color: var(--pc-text);
+  }
+
+  :host([theme="dark"]) {
+    --pc-background: var(--card-background, #1f2937);
+    --pc-surface: var(--card-surface, #111827);
+    --pc-border: var(--card-border, #374151);
+    --pc-text: var(--card-text, #f9fafb);
+    --pc-muted: var(--card-muted, #9ca3af);
+    --pc-accent: var(--card-accent, #818cf8);
+  }
+
+  :host([hidden]),
+  .hidden {
+    display: none !important;
+  }
+
+  * {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+  }
+
+  .state {
+    padding: 40px 20px;
+    text-align: center;
+    color: var(--pc-muted);
+    background: var(--pc-background);
+    border-radius: 16px;
+  }
+
+  .spinner {
+    width: 32px;
+    height: 32px;
+    margin: 0 auto 10px;
+    border: 3px solid var(--pc-border);
+    border-top-color: var(--pc-accent);
+    border-radius: 50%;
+    animation: spin 1s linear infinite;
+  }
+
+  @keyframes spin {
+    to {
+      transform: rotate(360deg);
+    }
+  }
+
+  .profile-card {
+    background: var(--pc-background);
+    border-radius: 16px;
+    box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+    overflow: hidden;
+  }
+
+  .profile-header {
+    display: flex;
+    align-items: center;
+    gap: 20px;
+    padding: 30px;
+    background: var(--pc-surface);
+    border-bottom: 1px solid var(--pc-border);
+  }
+
+  .avatar {
+    width: 80px;
+    height: 80px;
+    border-radius: 50%;
+    object-fit: cover;
+    border: 4px solid var(--pc-background);
+  }
+
+  .user-name {
+    font-size: 1.6rem;
+    font-weight: 700;
+  }
+
+  .user-title {
+    color: var(--pc-accent);
+    font-weight: 600;
+  }
+
+  .user-location {
+    color: var(--pc-muted);
+    font-size: 0.95rem;
+  }
+
+  .source-badge {
+    display: inline-block;
+    margin-top: 6px;
+    padding: 2px 10px;
+    border-radius: 12px;
+    border: 1px solid var(--pc-border);
+    color: var(--pc-accent);
+    font-size: 0.8rem;
+    text-decoration: none;
+  }
+
+  .profile-stats {
+    display: flex;
+    justify-content: space-around;
+    padding: 20px 30px;
+    background: var(--pc-surface);
+    border-bottom: 1px solid var(--pc-border);
+  }
+
+  .stat-item {
+    position: relative;
+    text-align: center;
+  }
+
+  .stat-delta {
+    position: absolute;
+    top: -14px;
+    right: 0;
+    padding: 1px 6px;
+    border-radius: 10px;
+    font-size: 0.75rem;
+    font-weight: 700;
+    white-space: nowrap;
+  }
+
+  .stat-delta.up {
+    background: rgba(22, 163, 74, 0.15);
+    color: #16a34a;
+  }
+
+  .stat-delta.down {
+    background: rgba(220, 38, 38, 0.15);
+    color: #dc2626;
+  }
+
+  .stat-number {
+    display: block;
+    font-size: 1.5rem;
+    font-weight: 700;
+  }
+
+  .stat-label {
+    font-size: 0.85rem;
+    color: var(--pc-muted);
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+  }
+
+  .profile-details {
+    padding: 20px 30px;
+  }
+
+  .detail-item {
+    display: flex;
+    justify-content: space-between;
+    gap: 15px;
+    padding: 6px 0;
+  }
+
+  .detail-label {
+    font-weight: 600;
+  }
+
+  .detail-value {
+    color: var(--pc-muted);
+    text-align: right;
+    overflow-wrap: anywhere;
+  }
+
+  .detail-value.link {
+    color: var(--pc-accent);
+    text-decoration: none;
+  }
+
+  .profile-bio {
+    padding: 20px 30px;
+    background: var(--pc-surface);
+    border-top: 1px solid var(--pc-border);
+  }
+
+  .bio-text {
+    color: var(--pc-muted);
+    font-style: italic;
+  }
+
+  @media (prefers-reduced-motion: reduce) {
+    .spinner {
+      animation: none;
+    }
+  }
+
+  @media (max-width: 480px) {
+    .profile-header {
+      flex-direction: column;
+      text-align: center;
+    }
+  }
+`;
+
+if (!customElements.get("profile-card")) {
+  customElements.define("profile-card", ProfileCardElement);
+}
+
+// Export for use in other modules
+window.ProfileCardElement = ProfileCardElement;
@@ -0,0 +1,633 @@
+// Profile Exporter - Turns the displayed profile into downloadable files
+class ProfileExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {number} options.width - Image width in CSS pixels (matches the card)
+   * @param {number} options.scale - PNG pixel ratio, 2 keeps text sharp on slides
+   */
+  constructor({ width = 600, scale = 2 } = {}) {
+    this.width = width;
+    this.scale = scale;
+    this.measureContext = null;
+  }
+
+  /**
+   * Render the card and download it as an image
+   * @param {string} format - "png" or "svg"
+   * @param {Object} content - Card text from DomManager.getCardContent()
+   * @param {Object} theme - Card colors from DomManager.getCardTheme()
+   * @returns {Promise<string>} Name of the downloaded file
+   */
+  async exportImage(format, content, theme) {
+    // Inline the avatar so the SVG stands alone and the canvas isn't tainted
+    const avatar = await this.loadAvatar(content.avatar);
+    const { svg, width, height } = this.renderSvg(content, theme, avatar);
+
+    const filename = `${content.username}-profile-card.${format}`;
+    if (format === "svg") {
+      this.download(new Blob([svg], { type: "image/svg+xml" }), filename);
+    } else if (format === "png") {
+      this.download(await this.rasterize(svg, width, height), filename);
+    } else {
+      throw new Error(`Unsupported image format: ${format}`);
+    }
+    return filename;
+  }
+
+  /**
+   * Download the profile data as a contact card, JSON or Markdown
+   * @param {string} format - "vcard", "json" or "markdown"
+   * @param {Object} user - Normalized user data
+   * @returns {string} Name of the downloaded file
+   */
+  exportProfile(format, user) {
+    const data = this.getExportData(user);
+    const formats = {
+      vcard: { extension: "vcf", type: "text/vcard", build: this.toVCard },
+      json: { extension: "json", type: "application/json", build: this.toJson },
+      markdown: {
+        extension: "md",
+        type: "text/markdown",
+        build: this.toMarkdown,
+      },
+    };
+
+    const selected = formats[format];
+    if (!selected) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const filename = `${data.username}.${selected.extension}`;
+    this.download(
+      new Blob([selected.build.call(this, data)], {
+        type: `${selected.type};charset=utf-8`,
+      }),
+      filename
+    );
+    return filename;
+  }
+
+  /**
+   * Pick the exportable fields, leaving out missing values
+   * @param {Object} user - Normalized user data
+   * @returns {Object} Fields that have real values
+   */
+  getExportData(user) {
+    const data = {
+      username: user.username,
+      name: user.name,
+      email: user.email,
+      company: user.company,
+      blog: user.blog ? this.toAbsoluteUrl(user.blog) : null,
+      location: user.location,
+      bio: user.bio,
+      followers: user.followers,
+      following: user.following,
+      publicRepos: user.publicRepos,
+      joinDate: user.joinDate,
+      avatar: user.avatar,
+      htmlUrl: user.htmlUrl,
+      source: user.source ? user.source.name : null,
+    };
+
+    return Object.fromEntries(
+      Object.entries(data).filter(
+        ([, value]) => value !== null && value !== undefined && value !== ""
+      )
+    );
+  }
+
+  /**
+   * Build a vCard 3.0 contact
+   * @param {Object} data - Export data
+   * @returns {string} vCard text with CRLF line endings
+   */
+  toVCard(data) {
+    const escape = (value) => this.escapeVCard(value);
+    const lines = [
+      "BEGIN:VCARD",
+      "VERSION:3.0",
+      `FN:${escape(data.name)}`,
+      // The API has no separate family/given names, so keep it all as given
+      `N:;${escape(data.name)};;;`,
+      `NICKNAME:${escape(data.username)}`,
+    ];
+
+    if (data.email) lines.push(`EMAIL;TYPE=INTERNET:${escape(data.email)}`);
+    if (data.company) lines.push(`ORG:${escape(data.company)}`);
+    if (data.location) lines.push(`ADR:;;;${escape(data.location)};;;`);
+    // URI values aren't text, so they aren't backslash-escaped
+    if (data.blog) lines.push(`URL:${data.blog}`);
+    if (data.htmlUrl) lines.push(`URL:${data.htmlUrl}`);
+    if (data.avatar) lines.push(`PHOTO;VALUE=URI:${data.avatar}`);
+    if (data.bio) lines.push(`NOTE:${escape(data.bio)}`);
+    lines.push("END:VCARD");
+
+    return lines.map((line) => this.foldLine(line)).join("\r\n") + "\r\n";
+  }
+
+  /**
+   * Build pretty-printed JSON
+   * @param {Object} data - Export data
+   * @returns {string} JSON text
+   */
+  toJson(data) {
+    return `${JSON.stringify(data, null, 2)}\n`;
+  }
+
+  /**
+   * Build a Markdown snippet for READMEs and wikis, labelled in the
+   * current language
+   * @param {Object} data - Export data
+   * @returns {string} Markdown text
+   */
+  toMarkdown(data) {
+    const escape = (value) => this.escapeMarkdown(value);
+    const name = escape(data.name);
+    const heading = data.htmlUrl
+      ? `[${name}](${this.escapeMarkdownUrl(data.htmlUrl)})`
+      : name;
+    const lines = [`### ${heading} (@${escape(data.username)})`, ""];
+
+    if (data.bio) {
+      data.bio
+        .split(/\r?\n/)
+        .forEach((line) => lines.push(`> ${escape(line)}`.trimEnd()));
+      lines.push("");
+    }
+
+    const label = (key) => `**${i18n.t(key)}**`;
+    const details = [];
+    if (data.location) {
+      details.push(`${label("profile.location")} ${escape(data.location)}`);
+    }
+    if (data.company) {
+      details.push(`${label("profile.company")} ${escape(data.company)}`);
+    }
+    if (data.email) {
+      details.push(
+        `${label("profile.email")} [${escape(
+          data.email
+        )}](${this.escapeMarkdownUrl(`mailto:${data.email}`)})`
+      );
+    }
+    if (data.blog) {
+      details.push(
+        `${label("profile.website")} [${escape(
+          data.blog
+        )}](${this.escapeMarkdownUrl(data.blog)})`
+      );
+    }
+
+    const count = (key, value) =>
+      `**${i18n.t(key)}:** ${i18n.formatNumber(value)}`;
+    const counts = [
+      count("profile.followers", data.followers),
+      count("profile.following", data.following),
+    ];
+    if (data.publicRepos !== undefined) {
+      counts.push(count("profile.repositories", data.publicRepos));
+    }
+    details.push(counts.join(" · "));
+
+    if (data.joinDate) {
+      const joined = i18n.formatDate(data.joinDate, {
+        year: "numeric",
+        month: "long",
+      });
+      details.push(`${label("profile.memberSince")} ${joined}`);
+    }
+
+    details.forEach((detail) => lines.push(`- ${detail}`));
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Escape a vCard property value (RFC 2426 section 4)
+   * @param {string} value - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeVCard(value) {
+    return String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/\r?\n/g, "\\n")
+      .replace(/([,;])/g, "\\$1");
+  }
+
+  /**
+   * Fold a content line at 75 octets, as vCard requires
+   * @param {string} line - Unfolded line
+   * @returns {string} Folded line (CRLF followed by a space)
+   */
+  foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = "";
+    let size = 0;
+
+    // Iterate by code point so multi-byte characters aren't split
+    for (const char of line) {
+      const charSize = encoder.encode(char).length;
+      // Continuation lines start with a space, which counts toward the limit
+      const limit = parts.length === 0 ? 75 : 74;
+      if (size + charSize > limit) {
+        parts.push(current);
+        current = "";
+        size = 0;
+      }
+      current += char;
+      size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join("\r\n ");
+  }
+
+  /**
+   * Escape characters Markdown would treat as formatting
+   * @param {string} value - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeMarkdown(value) {
+    return String(value).replace(/[\\`*_{}[\]()<>#|~!]/g, "\\$&");
+  }
+
+  /**
+   * Percent-encode the characters that would end a Markdown link destination
+   * @param {string} url - URL
+   * @returns {string} Encoded URL
+   */
+  escapeMarkdownUrl(url) {
+    return url.replace(
+      /[\s()<>]/g,
+      (char) =>
+        `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`
+    );
+  }
+
+  /**
+   * Add a scheme to bare website values like "example.com"
+   * @param {string} url - URL as entered by the user
+   * @returns {string} Absolute URL
+   */
+  toAbsoluteUrl(url) {
+    return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+  }
+
+  /**
+   * Fetch the avatar through CORS and return it as a data URL
+   * @param {string} url - Avatar URL
+   * @returns {Promise<string|null>} Data URL, or null if the host doesn't allow it
+   */
+  async loadAvatar(url) {
+    if (!url) return null;
+
+    try {
+      const response = await fetch(url, { mode: "cors", credentials: "omit" });
+      if (!response.ok) return null;
+
+      const blob = await response.blob();
+      return await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      });
+    } catch (error) {
+      // Hosts without CORS headers get an initials placeholder instead
+      console.warn("Avatar could not be embedded:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Lay the card out as a standalone SVG document
+   * @param {Object} content - Card text
+   * @param {Object} theme - Card colors and font
+   * @param {string|null} avatar - Avatar data URL
+   * @returns {Object} { svg, width, height }
+   */
+  renderSvg(content, theme, avatar) {
+    const width = this.width;
+    const padding = 30;
+    const font = theme.fontFamily;
+    const parts = [];
+    let y = 0;
+
+    // Header: avatar, name, @username, location
+    const headerHeight = 140;
+    parts.push(
+      `<rect width="${width}" height="${headerHeight}" fill="url(#header)"/>`,
+      this.renderAvatar(content, theme, avatar, padding, 30),
+      this.text(
+        this.truncate(content.name, width - 160, `700 29px ${font}`),
+        130,
+        62,
+        { size: 29, weight: 700, fill: theme.name }
+      ),
+      this.text(content.title, 130, 90, {
+        size: 18,
+        weight: 600,
+        fill: theme.accent,
+      }),
+      this.text(
+        this.truncate(`📍 ${content.location}`, width - 160, `15px ${font}`),
+        130,
+        116,
+        { size: 15, fill: theme.muted }
+      ),
+      this.line(headerHeight, theme.border)
+    );
+    y = headerHeight;
+
+    // Stats, with the final values rather than mid-animation numbers
+    const statsHeight = 100;
+    const columnWidth = (width - padding * 2) / content.stats.length;
+    parts.push(
+      `<rect y="${y}" width="${width}" height="${statsHeight}" fill="${theme.statsBackground}"/>`
+    );
+    content.stats.forEach((stat, index) => {
+      const x = padding + columnWidth * (index + 0.5);
+      parts.push(
+        this.text(stat.value, x, y + 48, {
+          size: 24,
+          weight: 700,
+          fill: theme.statNumber,
+          anchor: "middle",
+        }),
+        this.text(stat.label.toUpperCase(), x, y + 74, {
+          size: 14,
+          fill: theme.statLabel,
+          anchor: "middle",
+          spacing: 0.5,
+        })
+      );
+    });
+    y += statsHeight;
+    parts.push(this.line(y, theme.border));
+
+    // Details: label on the left, value right-aligned
+    y += 25;
+    content.details.forEach((detail) => {
+      const value = this.truncate(detail.value, width - 200, `16px ${font}`);
+      parts.push(
+        this.text(detail.label, padding, y + 22, {
+          size: 16,
+          weight: 600,
+          fill: theme.detailLabel,
+        }),
+        this.text(value, width - padding, y + 22, {
+          size: 16,
+          fill: detail.isLink ? theme.accent : theme.detailValue,
+          anchor: "end",
+        })
+      );
+      y += 36;
+    });
+    y += 25;
+
+    // Bio, wrapped to the card width
+    const lineHeight = 27;
+    const bioLines = this.wrapText(
+      content.bio,
+      width - padding * 2,
+      `italic 16px ${font}`
+    );
+    const bioHeight = bioLines.length * lineHeight + 50;
+    parts.push(
+      this.line(y, theme.border),
+      `<rect y="${y}" width="${width}" height="${bioHeight}" fill="${theme.bioBackground}"/>`
+    );
+    bioLines.forEach((line, index) => {
+      parts.push(
+        this.text(line, padding, y + 25 + 18 + index * lineHeight, {
+          size: 16,
+          fill: theme.bio,
+          italic: true,
+        })
+      );
+    });
+    y += bioHeight;
+
+    const height = y;
+    const svg = [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${this.escapeXml(
+        font
+      )}">`,
+      "<defs>",
+      `<clipPath id="card"><rect width="${width}" height="${height}" rx="16"/></clipPath>`,
+      `<linearGradient id="header" x1="0" y1="0" x2="1" y2="1">`,
+      `<stop offset="0" stop-color="${theme.headerStart}"/>`,
+      `<stop offset="1" stop-color="${theme.headerEnd}"/>`,
+      "</linearGradient>",
+      "</defs>",
+      `<g clip-path="url(#card)">`,
+      `<rect width="${width}" height="${height}" fill="${theme.background}"/>`,
+      ...parts,
+      "</g>",
+      "</svg>",
+    ].join("\n");
+
+    return { svg, width, height };
+  }
+
+  /**
+   * Render the round avatar, or the user's initial when it couldn't be embedded
+   * @param {Object} content - Card text
+   * @param {Object} theme - Card colors
+   * @param {string|null} avatar - Avatar data URL
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @returns {string} SVG markup
+   */
+  renderAvatar(content, theme, avatar, x, y) {
+    const size = 80;
+    const cx = x + size / 2;
+    const cy = y + size / 2;
+
+    const image = avatar
+      ? `<clipPath id="avatar"><circle cx="${cx}" cy="${cy}" r="${
+          size / 2
+        }"/></clipPath>` +
+        `<image href="${avatar}" xlink:href="${avatar}" x="${x}" y="${y}" width="${size}" height="${size}" preserveAspectRatio="xMidYMid slice" clip-path="url(#avatar)"/>`
+      : `<circle cx="${cx}" cy="${cy}" r="${size / 2}" fill="${
+          theme.accent
+        }"/>` +
+        this.text(content.name.charAt(0).toUpperCase(), cx, cy + 12, {
+          size: 34,
+          weight: 700,
+          fill: theme.background,
+          anchor: "middle",
+        });
+
+    return `${image}<circle cx="${cx}" cy="${cy}" r="${
+      size / 2 + 2
+    }" fill="none" stroke="${theme.avatarBorder}" stroke-width="4"/>`;
+  }
+
+  /**
+   * Build an SVG text element
+   * @param {string} value - Text content
+   * @param {number} x - X position
+   * @param {number} y - Baseline position
+   * @param {Object} style - { size, weight, fill, anchor, italic, spacing }
+   * @returns {string} SVG markup
+   */
+  text(value, x, y, { size, weight, fill, anchor, italic, spacing }) {
+    const attributes = [
+      `x="${x}"`,
+      `y="${y}"`,
+      `font-size="${size}"`,
+      `fill="${fill}"`,
+    ];
+    if (weight) attributes.push(`font-weight="${weight}"`);
+    if (anchor) attributes.push(`text-anchor="${anchor}"`);
+    if (italic) attributes.push(`font-style="italic"`);
+    if (spacing) attributes.push(`letter-spacing="${spacing}"`);
+
+    return `<text ${attributes.join(" ")}>${this.escapeXml(value)}</text>`;
+  }
+
+  /**
+   * Build a full-width divider
+   * @param {number} y - Vertical position
+   * @param {string} color - Stroke color
+   * @returns {string} SVG markup
+   */
+  line(y, color) {
+    return `<line x1="0" y1="${y}" x2="${this.width}" y2="${y}" stroke="${color}"/>`;
+  }
+
+  /**
+   * Draw the SVG onto a canvas and encode it as PNG
+   * @param {string} svg - SVG document
+   * @param {number} width - Width in CSS pixels
+   * @param {number} height - Height in CSS pixels
+   * @returns {Promise<Blob>} PNG image
+   */
+  async rasterize(svg, width, height) {
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+
+    try {
+      const image = new Image();
+      await new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = () => reject(new Error("Failed to render the card."));
+        image.src = url;
+      });
+
+      const canvas = document.createElement("canvas");
+      canvas.width = width * this.scale;
+      canvas.height = height * this.scale;
+      const context = canvas.getContext("2d");
+      context.scale(this.scale, this.scale);
+      context.drawImage(image, 0, 0, width, height);
+
+      return await new Promise((resolve, reject) => {
+        canvas.toBlob((blob) =>
+          blob ? resolve(blob) : reject(new Error("Failed to encode PNG."))
+        );
+      });
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Measure text with the same font the SVG uses
+   * @param {string} text - Text to measure
+   * @param {string} font - CSS font shorthand
+   * @returns {number} Width in pixels
+   */
+  measureText(text, font) {
+    if (!this.measureContext) {
+      this.measureContext = document.createElement("canvas").getContext("2d");
+    }
+    this.measureContext.font = font;
+    return this.measureContext.measureText(text).width;
+  }
+
+  /**
+   * Split text into lines that fit a width (SVG has no automatic wrapping)
+   * @param {string} text - Text to wrap
+   * @param {number} maxWidth - Line width in pixels
+   * @param {string} font - CSS font shorthand
+   * @returns {Array<string>} Lines
+   */
+  wrapText(text, maxWidth, font) {
+    const lines = [];
+    let current = "";
+
+    text.split(/\s+/).forEach((word) => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && this.measureText(candidate, font) > maxWidth) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    });
+
+    if (current) {
+      lines.push(current);
+    }
+    return lines;
+  }
+
+  /**
+   * Shorten text with an ellipsis so it fits a width
+   * @param {string} text - Text to fit
+   * @param {number} maxWidth - Available width in pixels
+   * @param {string} font - CSS font shorthand
+   * @returns {string} Text that fits
+   */
+  truncate(text, maxWidth, font) {
+    if (this.measureText(text, font) <= maxWidth) {
+      return text;
+    }
+
+    let end = text.length;
+    while (
+      end > 0 &&
+      this.measureText(`${text.slice(0, end)}…`, font) > maxWidth
+    ) {
+      end--;
+    }
+    return `${text.slice(0, end)}…`;
+  }
+
+  /**
+   * Escape text for use in XML content and attributes
+   * @param {string} value - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+
+  /**
+   * Save a blob through a temporary download link
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Suggested file name
+   */
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// Export for use in other modules
+window.ProfileExporter = ProfileExporter;
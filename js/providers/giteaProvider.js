@@ -0,0 +1,149 @@
+// Gitea Provider - Loads profiles from the Gitea REST API (gitea.com or self-hosted)
+class GiteaProvider extends ProfileProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiRoot - API base URL, e.g. https://gitea.example.com/api/v1
+   * @param {Array<string>} options.usernames - Pool used for random profiles
+   */
+  constructor({ apiRoot = "https://gitea.com/api/v1", usernames = [] } = {}) {
+    super({ id: "gitea", name: "Gitea", apiRoot, usernames });
+    this.canFollow = true;
+    this.contactLinkTypes = ["issue"];
+  }
+
+  /**
+   * Fetch a user by login
+   * @param {string} username - Gitea login
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Object>} Normalized user data
+   */
+  async fetchUser(username, request) {
+    return this.normalizeUser(
+      await request(`${this.apiRoot}/users/${encodeURIComponent(username)}`)
+    );
+  }
+
+  /**
+   * Search users by login or name
+   * @param {string} query - Search text
+   * @param {number} limit - Maximum number of results
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Matching users ({ username, avatar })
+   */
+  async searchUsers(query, limit, request) {
+    const params = new URLSearchParams({ q: query, limit: String(limit) });
+    const results = await request(`${this.apiRoot}/users/search?${params}`);
+
+    return (results.data || []).map((item) => ({
+      username: item.login,
+      avatar: item.avatar_url,
+    }));
+  }
+
+  /**
+   * Follow or unfollow a user through /user/following/:username
+   * @param {Object} user - Normalized user data
+   * @param {boolean} following - True to follow, false to unfollow
+   * @param {Function} send - Request sender
+   */
+  async setFollowing(user, following, send) {
+    await send(
+      following ? "PUT" : "DELETE",
+      `${this.apiRoot}/user/following/${encodeURIComponent(user.username)}`
+    );
+  }
+
+  /**
+   * Check the follow state: 204 means following, 404 means not
+   * @param {Object} user - Normalized user data
+   * @param {Function} send - Request sender
+   * @returns {Promise<boolean>} True if the token owner follows the user
+   */
+  async isFollowing(user, send) {
+    const response = await send(
+      "GET",
+      `${this.apiRoot}/user/following/${encodeURIComponent(user.username)}`,
+      { allowedStatuses: [404] }
+    );
+    return response.status === 204;
+  }
+
+  /**
+   * Fetch a user's public repositories, 50 per page (Gitea's maximum)
+   * @param {Object} user - Normalized user data
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Normalized repositories
+   */
+  async fetchRepos(user, request) {
+    const login = encodeURIComponent(user.username);
+    const repos = await this.fetchPages(
+      (page) => `${this.apiRoot}/users/${login}/repos?limit=50&page=${page}`,
+      request,
+      50
+    );
+
+    return repos.map((repo) =>
+      this.buildRepo({
+        name: repo.name,
+        description: repo.description,
+        stars: repo.stars_count,
+        forks: repo.forks_count,
+        language: repo.language,
+        updatedAt: repo.updated_at,
+        htmlUrl: repo.html_url,
+        isFork: repo.fork,
+        hasIssues: repo.has_issues,
+      })
+    );
+  }
+
+  /**
+   * Build a prefilled new issue link
+   * @param {Object} repo - Normalized repository
+   * @param {string} type - Only "issue" is supported
+   * @param {Object} message - Message ({ title, body })
+   * @returns {string|null} URL
+   */
+  buildContactUrl(repo, type, { title, body }) {
+    if (type !== "issue") return null;
+    return `${repo.htmlUrl}/issues/new?${new URLSearchParams({ title, body })}`;
+  }
+
+  /**
+   * Gitea expects the "token" scheme rather than "Bearer"
+   * @param {string} token - Access token
+   * @returns {Object} Request headers
+   */
+  getAuthHeaders(token) {
+    return { Authorization: `token ${token}` };
+  }
+
+  /**
+   * Map a Gitea user to the normalized user object
+   * @param {Object} data - Raw API response
+   * @returns {Object} Normalized user data
+   */
+  normalizeUser(data) {
+    const siteRoot = this.apiRoot.replace(/\/api\/v1$/, "");
+
+    return this.buildUser({
+      id: data.id,
+      username: data.login,
+      name: data.full_name,
+      avatar: data.avatar_url,
+      bio: data.description,
+      location: data.location,
+      email: data.email,
+      blog: data.website,
+      followers: data.followers_count,
+      following: data.following_count,
+      joinDate: data.created,
+      htmlUrl: data.html_url || `${siteRoot}/${data.login}`,
+    });
+  }
+}
+
+ProfileProvider.register("gitea", GiteaProvider);
+
+// Export for use in other modules
+window.GiteaProvider = GiteaProvider;
@@ -0,0 +1,452 @@
+// GitHub Provider - Loads profiles from the GitHub REST API
+class GitHubProvider extends ProfileProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiRoot - API base URL (GitHub Enterprise: https://host/api/v3)
+   * @param {Array<string>} options.usernames - Pool used for random profiles
+   */
+  constructor({ apiRoot = "https://api.github.com", usernames } = {}) {
+    super({
+      id: "github",
+      name: "GitHub",
+      apiRoot,
+      usernames: usernames || GitHubProvider.defaultUsernames,
+    });
+    this.canFollow = true;
+    this.contactLinkTypes = ["issue", "discussion"];
+    this.hasDetails = true;
+  }
+
+  /**
+   * Fetch a user by login
+   * @param {string} username - GitHub login
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Object>} Normalized user data
+   */
+  async fetchUser(username, request) {
+    const data = await request(
+      `${this.apiRoot}/users/${encodeURIComponent(username)}`
+    );
+    return this.normalizeUser(data);
+  }
+
+  /**
+   * Fetch a user's organizations and linked social accounts. Both requests
+   * run at once (see fetchOptional()).
+   * @param {Object} user - Normalized user data
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Object>} { orgs, socialAccounts }
+   */
+  async fetchDetails(user, request) {
+    const userUrl = `${this.apiRoot}/users/${encodeURIComponent(
+      user.username
+    )}`;
+    const [orgs, accounts] = await Promise.all([
+      this.fetchOptional(`${userUrl}/orgs`, request),
+      this.fetchOptional(`${userUrl}/social_accounts`, request),
+    ]);
+
+    // Organization pages live on the same host as the profile
+    const webRoot = user.htmlUrl
+      ? new URL(user.htmlUrl).origin
+      : "https://github.com";
+
+    return {
+      orgs: orgs.map((org) =>
+        this.buildOrg({
+          login: org.login,
+          avatar: org.avatar_url,
+          htmlUrl: `${webRoot}/${org.login}`,
+        })
+      ),
+      socialAccounts: this.normalizeSocialAccounts(
+        accounts,
+        user.twitterUsername
+      ),
+    };
+  }
+
+  /**
+   * Fetch a list the card can do without. An HTTP error leaves it empty;
+   * cancelled and timed-out requests, rate limits and rejected tokens still
+   * fail, as they would for the profile itself.
+   * @param {string} url - List URL
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Raw items, or [] on an HTTP error
+   */
+  async fetchOptional(url, request) {
+    try {
+      return await request(url);
+    } catch (error) {
+      if (
+        error.name === "AbortError" ||
+        error instanceof RateLimitError ||
+        error instanceof TimeoutError ||
+        error instanceof AuthError
+      ) {
+        throw error;
+      }
+      if (!(error instanceof NotFoundError)) {
+        console.warn(`Skipped ${url}:`, error);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Search users by login
+   * @param {string} query - Partial login
+   * @param {number} limit - Maximum number of results
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Matching users ({ username, avatar })
+   */
+  async searchUsers(query, limit, request) {
+    const params = new URLSearchParams({
+      q: `${query} in:login`,
+      per_page: String(limit),
+    });
+    const results = await request(`${this.apiRoot}/search/users?${params}`);
+
+    return (results.items || []).map((item) => ({
+      username: item.login,
+      avatar: item.avatar_url,
+    }));
+  }
+
+  /**
+   * Follow or unfollow a user through /user/following/:username
+   * @param {Object} user - Normalized user data
+   * @param {boolean} following - True to follow, false to unfollow
+   * @param {Function} send - Request sender
+   */
+  async setFollowing(user, following, send) {
+    await send(
+      following ? "PUT" : "DELETE",
+      `${this.apiRoot}/user/following/${encodeURIComponent(user.username)}`
+    );
+  }
+
+  /**
+   * Check the follow state: 204 means following, 404 means not
+   * @param {Object} user - Normalized user data
+   * @param {Function} send - Request sender
+   * @returns {Promise<boolean>} True if the token owner follows the user
+   */
+  async isFollowing(user, send) {
+    const response = await send(
+      "GET",
+      `${this.apiRoot}/user/following/${encodeURIComponent(user.username)}`,
+      { allowedStatuses: [404] }
+    );
+    return response.status === 204;
+  }
+
+  /**
+   * Get an organization's public members, 100 per page, up to
+   * GitHubProvider.poolMaxPages pages
+   * @param {string} org - Organization login
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<string>>} Logins
+   */
+  async listOrgMembers(org, request) {
+    const login = encodeURIComponent(org);
+    const members = await this.fetchPages(
+      (page) =>
+        `${this.apiRoot}/orgs/${login}/members?per_page=100&page=${page}`,
+      request,
+      100,
+      GitHubProvider.poolMaxPages
+    );
+    return members.map((member) => member.login);
+  }
+
+  /**
+   * Get a user's followers, 100 per page, up to GitHubProvider.poolMaxPages
+   * pages
+   * @param {string} username - GitHub login
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<string>>} Logins
+   */
+  async listFollowers(username, request) {
+    const login = encodeURIComponent(username);
+    const followers = await this.fetchPages(
+      (page) =>
+        `${this.apiRoot}/users/${login}/followers?per_page=100&page=${page}`,
+      request,
+      100,
+      GitHubProvider.poolMaxPages
+    );
+    return followers.map((follower) => follower.login);
+  }
+
+  /**
+   * Fetch a user's public repositories, 100 per page
+   * @param {Object} user - Normalized user data
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Normalized repositories
+   */
+  async fetchRepos(user, request) {
+    const login = encodeURIComponent(user.username);
+    const repos = await this.fetchPages(
+      (page) =>
+        `${this.apiRoot}/users/${login}/repos?per_page=100&page=${page}`,
+      request,
+      100
+    );
+
+    return repos.map((repo) =>
+      this.buildRepo({
+        name: repo.name,
+        description: repo.description,
+        stars: repo.stargazers_count,
+        forks: repo.forks_count,
+        language: repo.language,
+        updatedAt: repo.pushed_at || repo.updated_at,
+        htmlUrl: repo.html_url,
+        isFork: repo.fork,
+        hasIssues: repo.has_issues,
+        hasDiscussions: repo.has_discussions,
+      })
+    );
+  }
+
+  /**
+   * Fetch a user's public events, 100 per page. GitHub keeps at most 300
+   * events from the last 90 days, so this never takes more than 3 requests.
+   * @param {Object} user - Normalized user data
+   * @param {Function} request - JSON fetcher
+   * @param {number} since - ms timestamp; no further pages once events are older
+   * @returns {Promise<Array<Object>>} Normalized events, newest first
+   */
+  async fetchEvents(user, request, since = 0) {
+    const login = encodeURIComponent(user.username);
+    const events = [];
+
+    for (let page = 1; page <= 3; page++) {
+      const batch = await request(
+        `${this.apiRoot}/users/${login}/events/public?per_page=100&page=${page}`
+      );
+      events.push(...batch);
+
+      const oldest = batch[batch.length - 1];
+      if (batch.length < 100 || Date.parse(oldest.created_at) < since) break;
+    }
+
+    // Links point at the web UI, which shares the profile's host
+    const webRoot = new URL(user.htmlUrl).origin;
+    return events
+      .map((event) => this.normalizeEvent(event, webRoot))
+      .filter(Boolean);
+  }
+
+  /**
+   * Map a GitHub event to the normalized event object
+   * @param {Object} event - Raw API event
+   * @param {string} webRoot - Web UI origin, e.g. https://github.com
+   * @returns {Object|null} Normalized event, or null for types the card doesn't show
+   */
+  normalizeEvent(event, webRoot) {
+    const { payload = {} } = event;
+    const repo = event.repo.name;
+    const repoUrl = `${webRoot}/${repo}`;
+    const common = { id: event.id, repo, createdAt: event.created_at };
+
+    switch (event.type) {
+      case "PushEvent": {
+        const branch = (payload.ref || "").replace(/^refs\/heads\//, "");
+        return this.buildEvent({
+          ...common,
+          type: "push",
+          title: branch,
+          // Newer payloads leave out the commit list and size
+          count: payload.size ?? (payload.commits && payload.commits.length),
+          url:
+            payload.before && payload.head
+              ? `${repoUrl}/compare/${payload.before}...${payload.head}`
+              : `${repoUrl}/tree/${encodeURIComponent(branch)}`,
+        });
+      }
+
+      case "PullRequestEvent": {
+        const pull = payload.pull_request || {};
+        const action =
+          payload.action === "closed" && pull.merged
+            ? "merged"
+            : payload.action;
+        if (!["opened", "closed", "merged", "reopened"].includes(action)) {
+          return null;
+        }
+        return this.buildEvent({
+          ...common,
+          type: "pullRequest",
+          action,
+          title: pull.title || `#${payload.number || pull.number}`,
+          url: pull.html_url || `${repoUrl}/pull/${payload.number}`,
+        });
+      }
+
+      case "IssuesEvent": {
+        const issue = payload.issue || {};
+        if (!["opened", "closed", "reopened"].includes(payload.action)) {
+          return null;
+        }
+        return this.buildEvent({
+          ...common,
+          type: "issue",
+          action: payload.action,
+          title: issue.title || `#${issue.number}`,
+          url: issue.html_url || repoUrl,
+        });
+      }
+
+      // "Watching" is what the API still calls starring
+      case "WatchEvent":
+        return this.buildEvent({ ...common, type: "star", url: repoUrl });
+
+      case "ReleaseEvent": {
+        const release = payload.release || {};
+        return this.buildEvent({
+          ...common,
+          type: "release",
+          action: "published",
+          title: release.name || release.tag_name,
+          url: release.html_url || `${repoUrl}/releases`,
+        });
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build a prefilled new issue or discussion link
+   * @param {Object} repo - Normalized repository
+   * @param {string} type - "issue" or "discussion"
+   * @param {Object} message - Message ({ title, body })
+   * @returns {string|null} URL
+   */
+  buildContactUrl(repo, type, { title, body }) {
+    if (type === "issue") {
+      return `${repo.htmlUrl}/issues/new?${new URLSearchParams({
+        title,
+        body,
+      })}`;
+    }
+    if (type === "discussion") {
+      // Without a category GitHub shows its picker and drops the prefill
+      return `${repo.htmlUrl}/discussions/new?${new URLSearchParams({
+        category: "general",
+        title,
+        body,
+      })}`;
+    }
+    return null;
+  }
+
+  /**
+   * Map a GitHub user to the normalized user object
+   * @param {Object} data - Raw API response, plus `orgs` and
+   *   `social_accounts` responses when fetchUser() loaded them
+   * @returns {Object} Normalized user data
+   */
+  normalizeUser(data) {
+    return this.buildUser({
+      id: data.id,
+      username: data.login,
+      name: data.name,
+      avatar: data.avatar_url,
+      bio: data.bio,
+      location: data.location,
+      email: data.email,
+      company: data.company,
+      blog: data.blog,
+      followers: data.followers,
+      following: data.following,
+      publicRepos: data.public_repos || 0,
+      joinDate: data.created_at,
+      htmlUrl: data.html_url,
+      twitterUsername: data.twitter_username,
+      // Organizations and linked accounts come from fetchDetails()
+      socialAccounts: this.normalizeSocialAccounts([], data.twitter_username),
+    });
+  }
+
+  /**
+   * Map linked accounts, adding the older Twitter profile field when it
+   * isn't also a linked account
+   * @param {Array<Object>} accounts - Raw accounts ({ provider, url })
+   * @param {string|null} twitterUsername - Twitter handle from the profile
+   * @returns {Array<Object>} Normalized accounts
+   */
+  normalizeSocialAccounts(accounts, twitterUsername) {
+    const all = [...accounts];
+    if (
+      twitterUsername &&
+      !all.some((account) => account.provider === "twitter")
+    ) {
+      all.unshift({
+        provider: "twitter",
+        url: `https://twitter.com/${twitterUsername}`,
+      });
+    }
+
+    return all
+      .map((account) => this.buildSocialAccount(account))
+      .filter(Boolean);
+  }
+}
+
+// Early GitHub accounts used for random profiles
+GitHubProvider.defaultUsernames = [
+  "octocat",
+  "defunkt",
+  "mojombo",
+  "wycats",
+  "ezmobius",
+  "ivey",
+  "evanphx",
+  "vanpelt",
+  "wayneeseguin",
+  "brynary",
+  "kevinclark",
+  "technoweenie",
+  "macournoyer",
+  "takeo",
+  "caged",
+  "topfunky",
+  "anotherjesse",
+  "roland",
+  "lukas",
+  "fanvsfan",
+  "tomtt",
+  "railsjitsu",
+  "nitay",
+  "kevwil",
+  "KirinDave",
+  "jamesgolick",
+  "atmos",
+  "errfree",
+  "mojodna",
+  "bmizerany",
+  "jnewland",
+  "josh",
+  "fearoffish",
+  "court3nay",
+  "ry",
+  "bkeepers",
+  "indirect",
+  "jamtur01",
+  "kneath",
+  "bendycode",
+  "ryanseys",
+];
+
+// Pages fetched for an organization or followers pool: the first 1,000
+// accounts, so a large org can't use up an anonymous client's hourly quota
+GitHubProvider.poolMaxPages = 10;
+
+ProfileProvider.register("github", GitHubProvider);
+
+// Export for use in other modules
+window.GitHubProvider = GitHubProvider;
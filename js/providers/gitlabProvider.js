@@ -0,0 +1,158 @@
+// GitLab Provider - Loads profiles from the GitLab REST API (gitlab.com or self-hosted)
+class GitLabProvider extends ProfileProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiRoot - API base URL, e.g. https://gitlab.example.com/api/v4
+   * @param {Array<string>} options.usernames - Pool used for random profiles
+   */
+  constructor({ apiRoot = "https://gitlab.com/api/v4", usernames = [] } = {}) {
+    super({ id: "gitlab", name: "GitLab", apiRoot, usernames });
+    this.canFollow = true;
+    this.contactLinkTypes = ["issue"];
+  }
+
+  /**
+   * Fetch a user by username. GitLab only exposes full profiles by numeric
+   * id, so the username is resolved first.
+   * @param {string} username - GitLab username
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Object>} Normalized user data
+   */
+  async fetchUser(username, request) {
+    const params = new URLSearchParams({ username });
+    const matches = await request(`${this.apiRoot}/users?${params}`);
+
+    if (!Array.isArray(matches) || matches.length === 0) {
+      throw new NotFoundError();
+    }
+
+    return this.normalizeUser(
+      await request(`${this.apiRoot}/users/${matches[0].id}`)
+    );
+  }
+
+  /**
+   * Search users by username or name
+   * @param {string} query - Search text
+   * @param {number} limit - Maximum number of results
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Matching users ({ username, avatar })
+   */
+  async searchUsers(query, limit, request) {
+    const params = new URLSearchParams({
+      search: query,
+      per_page: String(limit),
+    });
+    const results = await request(`${this.apiRoot}/users?${params}`);
+
+    return results.map((item) => ({
+      username: item.username,
+      avatar: item.avatar_url,
+    }));
+  }
+
+  /**
+   * Follow or unfollow a user by numeric id
+   * @param {Object} user - Normalized user data
+   * @param {boolean} following - True to follow, false to unfollow
+   * @param {Function} send - Request sender
+   */
+  async setFollowing(user, following, send) {
+    // GitLab answers 304 when the state already matches
+    await send(
+      "POST",
+      `${this.apiRoot}/users/${user.id}/${following ? "follow" : "unfollow"}`,
+      { allowedStatuses: [304] }
+    );
+  }
+
+  /**
+   * Fetch a user's public projects. GitLab doesn't list a primary language
+   * per project, so the language breakdown stays empty.
+   * @param {Object} user - Normalized user data
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Normalized repositories
+   */
+  async fetchRepos(user, request) {
+    const projects = await this.fetchPages(
+      (page) =>
+        `${this.apiRoot}/users/${user.id}/projects?per_page=100&page=${page}`,
+      request,
+      100
+    );
+
+    return projects.map((project) =>
+      this.buildRepo({
+        name: project.name,
+        description: project.description,
+        stars: project.star_count,
+        forks: project.forks_count,
+        updatedAt: project.last_activity_at,
+        htmlUrl: project.web_url,
+        isFork: Boolean(project.forked_from_project),
+        hasIssues: project.issues_enabled,
+      })
+    );
+  }
+
+  /**
+   * Build a prefilled new issue link
+   * @param {Object} repo - Normalized repository
+   * @param {string} type - Only "issue" is supported
+   * @param {Object} message - Message ({ title, body })
+   * @returns {string|null} URL
+   */
+  buildContactUrl(repo, type, { title, body }) {
+    if (type !== "issue") return null;
+
+    const params = new URLSearchParams({
+      "issue[title]": title,
+      "issue[description]": body,
+    });
+    return `${repo.htmlUrl}/-/issues/new?${params}`;
+  }
+
+  /**
+   * Map a GitLab user to the normalized user object
+   * @param {Object} data - Raw API response
+   * @returns {Object} Normalized user data
+   */
+  normalizeUser(data) {
+    // GitLab keeps handles rather than links
+    const accounts = [
+      data.twitter && {
+        provider: "twitter",
+        url: `https://twitter.com/${data.twitter}`,
+      },
+      data.linkedin && {
+        provider: "linkedin",
+        url: `https://www.linkedin.com/in/${data.linkedin}`,
+      },
+    ].filter(Boolean);
+
+    return this.buildUser({
+      id: data.id,
+      username: data.username,
+      name: data.name,
+      avatar: data.avatar_url,
+      bio: data.bio,
+      location: data.location,
+      email: data.public_email,
+      company: data.organization,
+      blog: data.website_url,
+      followers: data.followers,
+      following: data.following,
+      joinDate: data.created_at,
+      htmlUrl: data.web_url,
+      twitterUsername: data.twitter,
+      socialAccounts: accounts
+        .map((account) => this.buildSocialAccount(account))
+        .filter(Boolean),
+    });
+  }
+}
+
+ProfileProvider.register("gitlab", GitLabProvider);
+
+// Export for use in other modules
+window.GitLabProvider = GitLabProvider;
@@ -0,0 +1,128 @@
+// JSON File Provider - Loads profiles from a static JSON file
+class JsonFileProvider extends ProfileProvider {
+  /**
+   * The file holds an array of users (or `{ "users": [...] }`) using the
+   * normalized field names: username, name, avatar, bio, location, email,
+   * company, blog, followers, following, publicRepos, joinDate, htmlUrl,
+   * twitterUsername. Optional `repos`, `orgs` and `socialAccounts` arrays
+   * use the normalized repository, organization and social account fields.
+   * @param {Object} options - Provider options
+   * @param {string} options.url - URL of the JSON file
+   * @param {string} options.name - Display name shown on the card
+   */
+  constructor({ url = "profiles.json", name = "Local file" } = {}) {
+    super({ id: "json", name });
+    this.url = url;
+  }
+
+  /**
+   * Load all users from the file
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Raw user entries
+   */
+  async loadUsers(request) {
+    const file = await request(this.url);
+    return Array.isArray(file) ? file : file.users || [];
+  }
+
+  /**
+   * Find a user in the file by username (case-insensitive)
+   * @param {string} username - Username
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Object>} Normalized user data
+   */
+  async fetchUser(username, request) {
+    const users = await this.loadUsers(request);
+    const match = users.find(
+      (user) => user.username.toLowerCase() === username.toLowerCase()
+    );
+
+    if (!match) {
+      throw new NotFoundError();
+    }
+    return this.normalizeUser(match);
+  }
+
+  /**
+   * Read the `repos` listed with a user in the file
+   * @param {Object} user - Normalized user data
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Normalized repositories
+   */
+  async fetchRepos(user, request) {
+    const users = await this.loadUsers(request);
+    const entry = users.find((item) => item.username === user.username);
+
+    return ((entry && entry.repos) || []).map((repo) => this.buildRepo(repo));
+  }
+
+  /**
+   * A static file has no signed-in account
+   * @returns {Promise<never>}
+   */
+  async fetchViewer() {
+    throw new Error(
+      i18n.t("errors.tokensUnsupported", { provider: this.name })
+    );
+  }
+
+  /**
+   * Search usernames and names in the file
+   * @param {string} query - Search text
+   * @param {number} limit - Maximum number of results
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Matching users ({ username, avatar })
+   */
+  async searchUsers(query, limit, request) {
+    const needle = query.toLowerCase();
+    const users = await this.loadUsers(request);
+
+    return users
+      .filter(
+        (user) =>
+          user.username.toLowerCase().includes(needle) ||
+          (user.name || "").toLowerCase().includes(needle)
+      )
+      .slice(0, limit)
+      .map((user) => ({ username: user.username, avatar: user.avatar }));
+  }
+
+  /**
+   * Every user in the file is part of the random pool
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<string>>} Usernames
+   */
+  async listUsernames(request) {
+    const users = await this.loadUsers(request);
+    return users.map((user) => user.username);
+  }
+
+  /**
+   * Never send tokens to a static file host
+   * @returns {Object} No headers
+   */
+  getAuthHeaders() {
+    return {};
+  }
+
+  /**
+   * Entries already use normalized field names
+   * @param {Object} data - User entry from the file
+   * @returns {Object} Normalized user data
+   */
+  normalizeUser(data) {
+    return this.buildUser({
+      ...data,
+      id: data.id || data.username,
+      orgs: (data.orgs || []).map((org) => this.buildOrg(org)),
+      socialAccounts: (data.socialAccounts || [])
+        .map((account) => this.buildSocialAccount(account))
+        .filter(Boolean),
+    });
+  }
+}
+
+ProfileProvider.register("json", JsonFileProvider);
+
+// Export for use in other modules
+window.JsonFileProvider = JsonFileProvider;
@@ -0,0 +1,352 @@
+// Profile Provider - Base class for the services profiles can be loaded from
+class ProfileProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.id - Registry id (e.g. "github")
+   * @param {string} options.name - Display name shown on the card
+   * @param {string} options.apiRoot - Base URL of the provider's API
+   * @param {Array<string>} options.usernames - Default pool for random profiles
+   */
+  constructor({ id, name, apiRoot = "", usernames = [] }) {
+    this.id = id;
+    this.name = name;
+    this.apiRoot = apiRoot.replace(/\/+$/, "");
+    this.usernames = usernames;
+    // Whether follow/unfollow can be synced with a token
+    this.canFollow = false;
+    // Prefilled "new issue"/"new discussion" links buildContactUrl supports
+    this.contactLinkTypes = [];
+    // Whether orgs and social accounts come from fetchDetails() rather than
+    // with the user
+    this.hasDetails = false;
+  }
+
+  /**
+   * Fetch a user and map it to the normalized user object
+   * @param {string} username - Username on this provider
+   * @param {Function} request - `(url) => Promise<Object>` JSON fetcher
+   * @returns {Promise<Object>} Normalized user data
+   */
+  async fetchUser(username, request) {
+    throw new Error(`${this.name} provider does not implement fetchUser.`);
+  }
+
+  /**
+   * Fetch the account a token belongs to
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Object>} Normalized user data
+   */
+  async fetchViewer(request) {
+    return this.normalizeUser(await request(`${this.apiRoot}/user`));
+  }
+
+  /**
+   * Search users for autocomplete
+   * @param {string} query - Partial username
+   * @param {number} limit - Maximum number of results
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Matching users ({ username, avatar })
+   */
+  async searchUsers(query, limit, request) {
+    throw new Error(
+      i18n.t("errors.searchUnsupported", { provider: this.name })
+    );
+  }
+
+  /**
+   * Fetch a user's public repositories
+   * @param {Object} user - Normalized user data
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<Object>>} Normalized repositories
+   */
+  async fetchRepos(user, request) {
+    throw new Error(i18n.t("errors.reposUnsupported", { provider: this.name }));
+  }
+
+  /**
+   * Fetch the extras only the full card shows, in separate requests so
+   * compare mode and embeds don't pay for them
+   * @param {Object} user - Normalized user data
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Object|null>} { orgs, socialAccounts }, or null where they come with the user
+   */
+  async fetchDetails(user, request) {
+    return null;
+  }
+
+  /**
+   * Fetch a user's recent public activity
+   * @param {Object} user - Normalized user data
+   * @param {Function} request - JSON fetcher
+   * @param {number} since - ms timestamp; pages stop once they reach older events
+   * @returns {Promise<Array<Object>>} Normalized events, newest first
+   */
+  async fetchEvents(user, request, since) {
+    throw new Error(
+      i18n.t("errors.activityUnsupported", { provider: this.name })
+    );
+  }
+
+  /**
+   * Follow or unfollow a user as the token owner
+   * @param {Object} user - Normalized user data (needs username, and id for some providers)
+   * @param {boolean} following - True to follow, false to unfollow
+   * @param {Function} send - `(method, url, options) => Promise<Response>` request sender
+   * @returns {Promise<void>}
+   */
+  async setFollowing(user, following, send) {
+    throw new Error(
+      i18n.t("errors.followUnsupported", { provider: this.name })
+    );
+  }
+
+  /**
+   * Check whether the token owner follows a user
+   * @param {Object} user - Normalized user data
+   * @param {Function} send - Request sender
+   * @returns {Promise<boolean|null>} Follow state, or null if it can't be checked
+   */
+  async isFollowing(user, send) {
+    return null;
+  }
+
+  /**
+   * Build a link that opens a prefilled issue or discussion on a repository
+   * @param {Object} repo - Normalized repository
+   * @param {string} type - One of contactLinkTypes ("issue", "discussion")
+   * @param {Object} message - Message ({ title, body })
+   * @returns {string|null} URL, or null if the type isn't supported
+   */
+  buildContactUrl(repo, type, message) {
+    return null;
+  }
+
+  /**
+   * Collect results from a paginated endpoint until a short page is returned
+   * @param {Function} buildUrl - `(page) => string` URL for a 1-based page
+   * @param {Function} request - JSON fetcher
+   * @param {number} pageSize - Items requested per page
+   * @param {number} maxPages - Upper bound on requests spent
+   * @returns {Promise<Array<Object>>} Raw items from every page
+   */
+  async fetchPages(buildUrl, request, pageSize, maxPages = 3) {
+    const items = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      const batch = await request(buildUrl(page));
+      items.push(...batch);
+      if (batch.length < pageSize) break;
+    }
+
+    return items;
+  }
+
+  /**
+   * Get the usernames random profiles are picked from
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<string>>} Usernames
+   */
+  async listUsernames(request) {
+    return this.usernames;
+  }
+
+  /**
+   * Get an organization's members, for a random pool
+   * @param {string} org - Organization name
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<string>>} Usernames
+   */
+  async listOrgMembers(org, request) {
+    throw new Error(i18n.t("errors.poolUnsupported", { provider: this.name }));
+  }
+
+  /**
+   * Get a user's followers, for a random pool
+   * @param {string} username - Username
+   * @param {Function} request - JSON fetcher
+   * @returns {Promise<Array<string>>} Usernames
+   */
+  async listFollowers(username, request) {
+    throw new Error(i18n.t("errors.poolUnsupported", { provider: this.name }));
+  }
+
+  /**
+   * Build authentication headers for a token
+   * @param {string} token - Access token
+   * @returns {Object} Request headers
+   */
+  getAuthHeaders(token) {
+    return { Authorization: `Bearer ${token}` };
+  }
+
+  /**
+   * Map a raw API user to the normalized user object
+   * @param {Object} data - Raw API response
+   * @returns {Object} Normalized user data
+   */
+  normalizeUser(data) {
+    throw new Error(`${this.name} provider does not implement normalizeUser.`);
+  }
+
+  /**
+   * Fill in defaults shared by every provider and tag the profile's source.
+   * This is the shape DomManager.displayUserData consumes.
+   * @param {Object} fields - Provider-specific values
+   * @returns {Object} Normalized user data
+   */
+  buildUser(fields) {
+    return {
+      id: fields.id,
+      username: fields.username,
+      name: fields.name || fields.username,
+      avatar: fields.avatar,
+      // Missing text is left null; views show a translated placeholder
+      bio: fields.bio || null,
+      location: fields.location || null,
+      email: fields.email || null,
+      company: fields.company || null,
+      blog: fields.blog || null,
+      followers: fields.followers || 0,
+      following: fields.following || 0,
+      // Not every provider reports a repository count
+      publicRepos: fields.publicRepos ?? null,
+      joinDate: fields.joinDate,
+      htmlUrl: fields.htmlUrl,
+      twitterUsername: fields.twitterUsername || null,
+      // Organizations ({ login, name, avatar, htmlUrl }) and linked accounts
+      // ({ provider, url, label }); empty where the provider has none
+      orgs: fields.orgs || [],
+      socialAccounts: fields.socialAccounts || [],
+      source: { id: this.id, name: this.name },
+    };
+  }
+
+  /**
+   * Build the normalized organization object
+   * @param {Object} fields - Provider-specific values
+   * @returns {Object} Normalized organization; htmlUrl is null unless it is an http(s) link
+   */
+  buildOrg(fields) {
+    return {
+      login: fields.login,
+      name: fields.name || fields.login,
+      avatar: fields.avatar,
+      htmlUrl: this.parseWebUrl(fields.htmlUrl)?.href || null,
+    };
+  }
+
+  /**
+   * Build the normalized social account object, with a short label such as
+   * "@octocat" or "linkedin.com/in/octocat"
+   * @param {Object} fields - Provider-specific values ({ provider, url })
+   * @returns {Object|null} Normalized account, or null if the URL isn't a web link
+   */
+  buildSocialAccount({ provider, url }) {
+    const parsed = this.parseWebUrl(url);
+    if (!parsed) return null;
+
+    const host = parsed.hostname.replace(/^www\./, "");
+    const path = parsed.pathname.replace(/\/+$/, "");
+    const handle = path.split("/").pop().replace(/^@/, "");
+    const labels = {
+      twitter: `@${handle}`,
+      bluesky: `@${handle}`,
+      mastodon: `@${handle}@${host}`,
+    };
+
+    return {
+      provider: provider || "generic",
+      url: parsed.href,
+      label: (handle && labels[provider]) || `${host}${path}`,
+    };
+  }
+
+  /**
+   * Parse a link from provider data, keeping only http(s) URLs so a
+   * "javascript:" link can't reach an href
+   * @param {string} url - URL to check
+   * @returns {URL|null} Parsed URL, or null if it isn't a web link
+   */
+  parseWebUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return ["http:", "https:"].includes(parsed.protocol) ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the normalized repository object
+   * @param {Object} fields - Provider-specific values
+   * @returns {Object} Normalized repository
+   */
+  buildRepo(fields) {
+    return {
+      name: fields.name,
+      description: fields.description || null,
+      stars: fields.stars || 0,
+      forks: fields.forks || 0,
+      language: fields.language || null,
+      updatedAt: fields.updatedAt,
+      htmlUrl: fields.htmlUrl,
+      isFork: Boolean(fields.isFork),
+      hasIssues: fields.hasIssues !== false,
+      hasDiscussions: Boolean(fields.hasDiscussions),
+    };
+  }
+
+  /**
+   * Build the normalized activity event
+   * @param {Object} fields - Provider-specific values
+   * @returns {Object} Normalized event. `type` is "push", "pullRequest",
+   *   "issue", "star" or "release"; `action` is "opened", "closed", "merged",
+   *   "reopened" or "published" where the type has one.
+   */
+  buildEvent(fields) {
+    return {
+      id: String(fields.id),
+      type: fields.type,
+      action: fields.action || null,
+      repo: fields.repo,
+      // Issue or pull request title, release name, or branch pushed to
+      title: fields.title || null,
+      // Commits in a push, if the provider reports them
+      count: fields.count ?? null,
+      url: fields.url,
+      createdAt: fields.createdAt,
+    };
+  }
+
+  /**
+   * Register a provider class under an id
+   * @param {string} id - Registry id
+   * @param {Function} ProviderClass - ProfileProvider subclass
+   */
+  static register(id, ProviderClass) {
+    ProfileProvider.registry.set(id, ProviderClass);
+  }
+
+  /**
+   * Create a provider from an id or return an existing instance
+   * @param {string|ProfileProvider} provider - Registry id or instance
+   * @param {Object} options - Options for the provider constructor
+   * @returns {ProfileProvider} Provider instance
+   */
+  static create(provider = "github", options = {}) {
+    if (provider instanceof ProfileProvider) {
+      return provider;
+    }
+
+    const ProviderClass = ProfileProvider.registry.get(provider);
+    if (!ProviderClass) {
+      throw new Error(`Unknown profile provider: ${provider}`);
+    }
+    return new ProviderClass(options);
+  }
+}
+
+ProfileProvider.registry = new Map();
+
+// Export for use in other modules
+window.ProfileProvider = ProfileProvider;
@@ -0,0 +1,133 @@
+// Random Pool - Usernames random profiles are drawn from, without repeats until the pool is used up
+class RandomPool {
+  /**
+   * @param {Array<string>|Object|null} source - Where the usernames come from:
+   *   an inline list, { url } of a JSON file (an array of usernames or user
+   *   objects, or { usernames: [...] }), { org } for an organization's
+   *   members or { followersOf } for a user's followers (on GitHub, the
+   *   first 1,000 of either). Null uses the provider's own pool.
+   */
+  constructor(source = null) {
+    this.source = source;
+    this.usernames = [];
+    this.bag = []; // Usernames not drawn yet this round
+    this.lastDrawn = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Fetch the usernames from the configured source
+   * @param {ProfileProvider} provider - Provider profiles are loaded from
+   * @param {Function} request - `(url, options) => Promise<Object>` JSON fetcher
+   * @throws {NotFoundError} If the file, organization or user doesn't exist
+   */
+  async load(provider, request) {
+    const { source } = this;
+    let usernames;
+
+    try {
+      if (Array.isArray(source)) {
+        usernames = source;
+      } else if (source && source.url) {
+        // The file may live on another host, so the token stays home
+        const file = await request(source.url, { anonymous: true });
+        const entries = Array.isArray(file)
+          ? file
+          : file.usernames || file.users || [];
+        usernames = entries.map((entry) =>
+          typeof entry === "string" ? entry : entry.username || entry.login
+        );
+      } else if (source && source.org) {
+        usernames = await provider.listOrgMembers(source.org, request);
+      } else if (source && source.followersOf) {
+        usernames = await provider.listFollowers(source.followersOf, request);
+      } else {
+        usernames = await provider.listUsernames(request);
+      }
+    } catch (error) {
+      if (error instanceof NotFoundError && source && !Array.isArray(source)) {
+        throw new NotFoundError(
+          i18n.t("errors.poolNotFound", {
+            name: source.url || source.org || source.followersOf,
+          })
+        );
+      }
+      throw error;
+    }
+
+    this.setUsernames(usernames);
+    this.loaded = true;
+  }
+
+  /**
+   * Replace the pool, ignoring blanks and case-insensitive duplicates
+   * @param {Array<string>} usernames - Usernames
+   */
+  setUsernames(usernames) {
+    const seen = new Set();
+    this.usernames = usernames.filter((username) => {
+      const key = typeof username === "string" && username.toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    this.bag = [];
+  }
+
+  /**
+   * Draw the next username. Every username comes up once per round, and a
+   * new round never starts with the one that ended the last.
+   * @returns {string|null} Username, or null if the pool is empty
+   */
+  next() {
+    if (this.usernames.length === 0) return null;
+
+    if (this.bag.length === 0) {
+      this.bag = this.shuffle([...this.usernames]);
+
+      // The bag is drawn from the end
+      const last = this.bag.length - 1;
+      if (this.bag.length > 1 && this.bag[last] === this.lastDrawn) {
+        [this.bag[0], this.bag[last]] = [this.bag[last], this.bag[0]];
+      }
+    }
+
+    this.lastDrawn = this.bag.pop();
+    return this.lastDrawn;
+  }
+
+  /**
+   * Drop a username from the pool, e.g. an account that no longer exists
+   * @param {string} username - Username
+   */
+  remove(username) {
+    const key = username.toLowerCase();
+    const keep = (entry) => entry.toLowerCase() !== key;
+    this.usernames = this.usernames.filter(keep);
+    this.bag = this.bag.filter(keep);
+  }
+
+  /**
+   * Get the number of usernames in the pool
+   * @returns {number} Pool size
+   */
+  size() {
+    return this.usernames.length;
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates)
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} The same array
+   */
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+}
+
+// Export for use in other modules
+window.RandomPool = RandomPool;
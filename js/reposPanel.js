@@ -0,0 +1,285 @@
+// Repos Panel - Renders the repositories section of the profile card
+class ReposPanel {
+  /**
+   * @param {Object} options - Panel options
+   * @param {number} options.topCount - Number of repositories listed
+   * @param {number} options.maxLanguages - Languages shown before grouping into "Other"
+   */
+  constructor({ topCount = 5, maxLanguages = 6 } = {}) {
+    this.topCount = topCount;
+    this.maxLanguages = maxLanguages;
+    this.elements = {
+      panel: document.getElementById("reposPanel"),
+      status: document.getElementById("reposStatus"),
+      languageBar: document.getElementById("languageBar"),
+      languageLegend: document.getElementById("languageLegend"),
+      list: document.getElementById("reposList"),
+    };
+  }
+
+  /**
+   * Show the section's loading placeholder
+   */
+  showLoading() {
+    this.clear();
+    this.setStatus(i18n.t("repos.loading"));
+    this.elements.panel?.setAttribute("aria-busy", "true");
+  }
+
+  /**
+   * Show an error inside the section, leaving the rest of the card intact
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    this.clear();
+    this.setStatus(message, true);
+  }
+
+  /**
+   * Render the top repositories and language breakdown
+   * @param {Array<Object>} repos - Normalized repositories
+   */
+  render(repos) {
+    this.clear();
+
+    // Forks inflate counts with other people's work
+    const ownRepos = repos.filter((repo) => !repo.isFork);
+    if (ownRepos.length === 0) {
+      this.setStatus(i18n.t("repos.empty"));
+      return;
+    }
+
+    this.renderLanguages(this.getLanguageBreakdown(ownRepos));
+    this.renderList(this.getTopRepos(ownRepos));
+  }
+
+  /**
+   * Reset the section to empty
+   */
+  clear() {
+    const { panel, status, languageBar, languageLegend, list } = this.elements;
+    panel?.removeAttribute("aria-busy");
+    status?.classList.add("hidden");
+    status?.classList.remove("error");
+    if (languageBar) languageBar.innerHTML = "";
+    if (languageLegend) languageLegend.innerHTML = "";
+    if (list) list.innerHTML = "";
+  }
+
+  /**
+   * Show a status line (loading, empty or error)
+   * @param {string} message - Status text
+   * @param {boolean} isError - Style as an error
+   */
+  setStatus(message, isError = false) {
+    const { status } = this.elements;
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.toggle("error", isError);
+    status.classList.remove("hidden");
+  }
+
+  /**
+   * Pick the most-starred repositories
+   * @param {Array<Object>} repos - Normalized repositories
+   * @returns {Array<Object>} Top repositories
+   */
+  getTopRepos(repos) {
+    return [...repos]
+      .sort((a, b) => b.stars - a.stars || b.forks - a.forks)
+      .slice(0, this.topCount);
+  }
+
+  /**
+   * Count repositories per primary language
+   * @param {Array<Object>} repos - Normalized repositories
+   * @returns {Array<Object>} Languages ({ name, count, percent, isOther }), largest first
+   */
+  getLanguageBreakdown(repos) {
+    const counts = new Map();
+    repos.forEach((repo) => {
+      if (repo.language) {
+        counts.set(repo.language, (counts.get(repo.language) || 0) + 1);
+      }
+    });
+
+    const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+    const languages = [...counts.entries()]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count);
+
+    // Collapse the long tail so the bar stays readable
+    if (languages.length > this.maxLanguages) {
+      const rest = languages.splice(this.maxLanguages - 1);
+      languages.push({
+        name: i18n.t("repos.otherLanguages"),
+        count: rest.reduce((sum, language) => sum + language.count, 0),
+        isOther: true,
+      });
+    }
+
+    return languages.map((language) => ({
+      ...language,
+      percent: (language.count / total) * 100,
+    }));
+  }
+
+  /**
+   * Render the language distribution bar and legend
+   * @param {Array<Object>} languages - Language breakdown
+   */
+  renderLanguages(languages) {
+    const { languageBar, languageLegend } = this.elements;
+    if (!languageBar || !languageLegend || languages.length === 0) return;
+
+    languages.forEach((language) => {
+      const color = this.getLanguageColor(
+        language.isOther ? "Other" : language.name
+      );
+      const label = `${language.name} ${this.formatPercent(
+        language.percent,
+        1
+      )}`;
+
+      const segment = document.createElement("span");
+      segment.className = "language-segment";
+      segment.style.width = `${language.percent}%`;
+      segment.style.background = color;
+      segment.title = label;
+      languageBar.appendChild(segment);
+
+      const legendItem = document.createElement("li");
+      const swatch = document.createElement("span");
+      swatch.className = "language-swatch";
+      swatch.style.background = color;
+      legendItem.append(swatch, label);
+      languageLegend.appendChild(legendItem);
+    });
+
+    languageBar.setAttribute(
+      "aria-label",
+      i18n.t("repos.languages", {
+        list: languages
+          .map(
+            (language) =>
+              `${language.name} ${this.formatPercent(language.percent, 0)}`
+          )
+          .join(", "),
+      })
+    );
+  }
+
+  /**
+   * Render the repository list
+   * @param {Array<Object>} repos - Repositories to list
+   */
+  renderList(repos) {
+    const { list } = this.elements;
+    if (!list) return;
+
+    repos.forEach((repo) => {
+      const item = document.createElement("li");
+      item.className = "repo-item";
+
+      const link = document.createElement("a");
+      link.className = "repo-name";
+      link.href = repo.htmlUrl;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.textContent = repo.name;
+
+      const description = document.createElement("p");
+      description.className = "repo-description";
+      description.textContent =
+        repo.description || i18n.t("repos.noDescription");
+
+      const meta = document.createElement("p");
+      meta.className = "repo-meta";
+      const parts = [
+        `★ ${i18n.formatNumber(repo.stars)}`,
+        `⑂ ${i18n.formatNumber(repo.forks)}`,
+      ];
+      if (repo.language) {
+        parts.unshift(repo.language);
+      }
+      if (repo.updatedAt) {
+        parts.push(
+          i18n.t("repos.updated", { date: this.formatDate(repo.updatedAt) })
+        );
+      }
+      meta.textContent = parts.join(" · ");
+
+      item.append(link, description, meta);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Format a date for the "last updated" line
+   * @param {string} isoDate - ISO date string
+   * @returns {string} Formatted date
+   */
+  formatDate(isoDate) {
+    return i18n.formatDate(isoDate, {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  }
+
+  /**
+   * Format a share of the language bar
+   * @param {number} percent - Percentage (0-100)
+   * @param {number} digits - Fraction digits to show
+   * @returns {string} Formatted percentage, e.g. "42.5%" or "42,5 %"
+   */
+  formatPercent(percent, digits) {
+    return i18n.formatNumber(percent / 100, {
+      style: "percent",
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    });
+  }
+
+  /**
+   * Get a stable color for a language
+   * @param {string} language - Language name
+   * @returns {string} CSS color
+   */
+  getLanguageColor(language) {
+    const knownColors = {
+      JavaScript: "#f1e05a",
+      TypeScript: "#3178c6",
+      Python: "#3572a5",
+      Ruby: "#701516",
+      Go: "#00add8",
+      Java: "#b07219",
+      "C++": "#f34b7d",
+      C: "#555555",
+      "C#": "#178600",
+      PHP: "#4f5d95",
+      Rust: "#dea584",
+      Shell: "#89e051",
+      HTML: "#e34c26",
+      CSS: "#563d7c",
+      Swift: "#f05138",
+      Kotlin: "#a97bff",
+      Other: "#9ca3af",
+    };
+
+    if (knownColors[language]) {
+      return knownColors[language];
+    }
+
+    // Derive a hue from the name so unknown languages keep their color
+    let hash = 0;
+    for (const char of language) {
+      hash = (hash * 31 + char.charCodeAt(0)) % 360;
+    }
+    return `hsl(${hash}, 55%, 55%)`;
+  }
+}
+
+// Export for use in other modules
+window.ReposPanel = ReposPanel;
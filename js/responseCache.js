@@ -0,0 +1,170 @@
+// Response Cache - Persists API responses in localStorage for reuse and revalidation
+class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.ttl - Time in ms an entry is served without revalidation
+   * @param {number} options.maxEntries - Maximum number of stored entries
+   * @param {string} options.prefix - localStorage key prefix
+   */
+  constructor({
+    ttl = 5 * 60 * 1000,
+    maxEntries = 50,
+    prefix = "profileCard:cache:",
+  } = {}) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.prefix = prefix;
+    this.storage = this.getStorage();
+  }
+
+  /**
+   * Get localStorage if it is available (it may be disabled or full)
+   * @returns {Storage|null} Storage instance or null
+   */
+  getStorage() {
+    try {
+      const testKey = `${this.prefix}__test__`;
+      window.localStorage.setItem(testKey, "1");
+      window.localStorage.removeItem(testKey);
+      return window.localStorage;
+    } catch (error) {
+      console.warn("localStorage unavailable, caching disabled:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Get a cached entry, fresh or stale
+   * @param {string} key - Cache key (usually the request URL)
+   * @returns {Object|null} Entry ({ data, etag, storedAt }) or null
+   */
+  get(key) {
+    if (!this.storage) return null;
+
+    try {
+      const raw = this.storage.getItem(this.prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      this.delete(key);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether an entry is still within its TTL
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if the entry can be used without revalidation
+   */
+  isFresh(entry) {
+    return Boolean(entry) && Date.now() - entry.storedAt < this.ttl;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {*} data - JSON-serializable response body
+   * @param {string|null} etag - ETag header from the response
+   */
+  set(key, data, etag = null) {
+    if (!this.storage) return;
+
+    const entry = { data, etag, storedAt: Date.now() };
+
+    try {
+      this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    } catch (error) {
+      // Most likely the quota is exceeded: drop old entries and try once more
+      this.prune(Math.floor(this.maxEntries / 2));
+      try {
+        this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+      } catch (retryError) {
+        console.warn("Failed to cache response:", retryError);
+        return;
+      }
+    }
+
+    this.prune(this.maxEntries);
+  }
+
+  /**
+   * Mark an entry as fresh again (after a 304 Not Modified)
+   * @param {string} key - Cache key
+   */
+  touch(key) {
+    const entry = this.get(key);
+    if (entry) {
+      this.set(key, entry.data, entry.etag);
+    }
+  }
+
+  /**
+   * Remove a single entry
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.storage?.removeItem(this.prefix + key);
+  }
+
+  /**
+   * Remove all entries owned by this cache
+   */
+  clear() {
+    this.getKeys().forEach((storageKey) => {
+      this.storage.removeItem(storageKey);
+    });
+  }
+
+  /**
+   * Get the number of stored entries
+   * @returns {number} Entry count
+   */
+  size() {
+    return this.getKeys().length;
+  }
+
+  /**
+   * Get all localStorage keys that belong to this cache
+   * @returns {Array<string>} Storage keys
+   */
+  getKeys() {
+    if (!this.storage) return [];
+
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key && key.startsWith(this.prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Drop the oldest entries until at most `limit` remain
+   * @param {number} limit - Number of entries to keep
+   */
+  prune(limit) {
+    const keys = this.getKeys();
+    if (keys.length <= limit) return;
+
+    const byAge = keys
+      .map((storageKey) => {
+        try {
+          return {
+            storageKey,
+            storedAt: JSON.parse(this.storage.getItem(storageKey)).storedAt,
+          };
+        } catch (error) {
+          return { storageKey, storedAt: 0 };
+        }
+      })
+      .sort((a, b) => a.storedAt - b.storedAt);
+
+    byAge.slice(0, keys.length - limit).forEach(({ storageKey }) => {
+      this.storage.removeItem(storageKey);
+    });
+  }
+}
+
+// Export for use in other modules
+window.ResponseCache = ResponseCache;
@@ -0,0 +1,153 @@
+// Router - Hash-based routing so profiles can be deep-linked and navigated with back/forward
+class Router {
+  constructor() {
+    this.routes = []; // { pattern, keys, handler }
+    this.fallback = null;
+    this.handleHashChange = () => this.resolve(this.getPath());
+  }
+
+  /**
+   * Register a route
+   * @param {string} path - Path pattern with `:param` segments, e.g. "/user/:username"
+   * @param {Function} handler - Called with the decoded params object
+   * @returns {Router} This router, for chaining
+   */
+  on(path, handler) {
+    const keys = [];
+    const pattern = path.replace(/:([^/]+)/g, (match, key) => {
+      keys.push(key);
+      return "([^/]+)";
+    });
+
+    this.routes.push({ pattern: new RegExp(`^${pattern}/?$`), keys, handler });
+    return this;
+  }
+
+  /**
+   * Register the handler for paths no route matches
+   * @param {Function} handler - Called with the unmatched path
+   * @returns {Router} This router, for chaining
+   */
+  otherwise(handler) {
+    this.fallback = handler;
+    return this;
+  }
+
+  /**
+   * Start listening for hash changes and resolve the current URL
+   */
+  start() {
+    window.addEventListener("hashchange", this.handleHashChange);
+    this.resolve(this.getPath());
+  }
+
+  /**
+   * Stop listening for hash changes
+   */
+  stop() {
+    window.removeEventListener("hashchange", this.handleHashChange);
+  }
+
+  /**
+   * Get the current route path from the URL hash
+   * @returns {string} Path such as "/user/octocat"
+   */
+  getPath() {
+    return window.location.hash.replace(/^#/, "") || "/";
+  }
+
+  /**
+   * Run the handler for a path
+   * @param {string} path - Route path
+   * @returns {boolean} True if a registered route matched
+   */
+  resolve(path) {
+    for (const route of this.routes) {
+      const match = path.match(route.pattern);
+      if (!match) continue;
+
+      const params = this.decodeParams(route.keys, match);
+      // A malformed escape such as "%E0%A4%A" gets the fallback
+      if (!params) break;
+
+      route.handler(params);
+      return true;
+    }
+
+    if (this.fallback) {
+      this.fallback(path);
+    }
+    return false;
+  }
+
+  /**
+   * Decode the parameters captured by a route pattern
+   * @param {Array<string>} keys - Parameter names
+   * @param {Array<string>} match - Result of matching the pattern
+   * @returns {Object|null} Parameters by name, or null if one isn't valid URI encoding
+   */
+  decodeParams(keys, match) {
+    const params = {};
+    try {
+      keys.forEach((key, index) => {
+        params[key] = decodeURIComponent(match[index + 1]);
+      });
+    } catch (error) {
+      return null;
+    }
+    return params;
+  }
+
+  /**
+   * Update the URL without triggering route handlers. pushState doesn't fire
+   * hashchange, so only back/forward and manually edited URLs resolve routes.
+   * @param {string} path - Route path
+   * @param {Object} options - Navigation options
+   * @param {boolean} options.replace - Replace the current history entry
+   */
+  navigate(path, { replace = false } = {}) {
+    if (path === this.getPath()) return;
+
+    const depth = this.getDepth();
+    if (replace) {
+      window.history.replaceState({ depth }, "", `#${path}`);
+    } else {
+      window.history.pushState({ depth: depth + 1 }, "", `#${path}`);
+    }
+  }
+
+  /**
+   * Build the path for a user's profile
+   * @param {string} username - Username
+   * @returns {string} Route path
+   */
+  userPath(username) {
+    return `/user/${encodeURIComponent(username)}`;
+  }
+
+  /**
+   * Number of entries this app has pushed before the current one
+   * @returns {number} History depth
+   */
+  getDepth() {
+    return (window.history.state && window.history.state.depth) || 0;
+  }
+
+  /**
+   * Check if there is an in-app history entry to go back to
+   * @returns {boolean} True if back stays within the app
+   */
+  canGoBack() {
+    return this.getDepth() > 0;
+  }
+
+  /**
+   * Go to the previous history entry
+   */
+  back() {
+    window.history.back();
+  }
+}
+
+// Export for use in other modules
+window.Router = Router;
@@ -0,0 +1,168 @@
+// Theme Manager - Applies built-in and custom color themes and remembers the choice
+class ThemeManager {
+  /**
+   * @param {Object} options - Theme options
+   * @param {Array<Object>} options.themes - Custom themes to register (see register())
+   * @param {string} options.defaultTheme - Theme used until the user picks one ("system" follows the OS)
+   */
+  constructor({ themes = [], defaultTheme = "system" } = {}) {
+    this.storageKey = "profileCard:theme";
+    this.root = document.documentElement;
+    this.themes = new Map(
+      ThemeManager.builtInThemes.map((theme) => [
+        theme.id,
+        { id: theme.id, name: null, base: theme.id, colors: {} },
+      ])
+    );
+    this.appliedProperties = []; // Inline properties set by a custom theme
+
+    themes.forEach((theme) => this.register(theme));
+    this.defaultTheme = this.themes.has(defaultTheme) ? defaultTheme : "system";
+
+    // Re-apply when the OS switches between light and dark
+    this.colorSchemeQuery = window.matchMedia
+      ? window.matchMedia("(prefers-color-scheme: dark)")
+      : null;
+    this.handleColorSchemeChange = () => {
+      if (this.getPreference() === "system") {
+        this.apply();
+      }
+    };
+    this.colorSchemeQuery?.addEventListener(
+      "change",
+      this.handleColorSchemeChange
+    );
+  }
+
+  /**
+   * Register a custom theme
+   * @param {Object} theme - Theme definition
+   * @param {string} theme.id - Unique id, stored as the user's choice
+   * @param {string} theme.name - Name shown in the theme switcher
+   * @param {string} theme.base - Built-in theme it starts from ("light", "dark" or "high-contrast")
+   * @param {Object} theme.colors - Overrides keyed by token, e.g. { accent: "#0ea5e9" } for --color-accent
+   */
+  register({ id, name, base = "light", colors = {} }) {
+    if (!id || id === "system") {
+      throw new Error('A custom theme needs an id other than "system".');
+    }
+    if (!ThemeManager.builtInThemes.some((theme) => theme.id === base)) {
+      throw new Error(`Unknown base theme "${base}" for theme "${id}".`);
+    }
+
+    this.themes.set(id, { id, name: name || id, base, colors });
+  }
+
+  /**
+   * Get the choices for the theme switcher. Built-in names are translated;
+   * custom themes keep the name they were registered with.
+   * @returns {Array<Object>} Themes ({ id, name }), "system" first
+   */
+  getThemes() {
+    return [
+      { id: "system", name: i18n.t("themes.system") },
+      ...[...this.themes.values()].map(({ id, name }) => ({
+        id,
+        name: name || i18n.t(`themes.${id}`),
+      })),
+    ];
+  }
+
+  /**
+   * Get the user's stored choice
+   * @returns {string} Theme id or "system"
+   */
+  getPreference() {
+    let stored = null;
+    try {
+      stored = window.localStorage.getItem(this.storageKey);
+    } catch (error) {
+      // Storage can be unavailable (e.g. privacy mode); use the default
+    }
+
+    // A custom theme may have been removed from the config since
+    return stored === "system" || this.themes.has(stored)
+      ? stored
+      : this.defaultTheme;
+  }
+
+  /**
+   * Store and apply a theme choice
+   * @param {string} themeId - Theme id or "system"
+   * @returns {string} Id of the theme now in effect
+   */
+  setPreference(themeId) {
+    if (themeId !== "system" && !this.themes.has(themeId)) {
+      throw new Error(`Unknown theme: ${themeId}`);
+    }
+
+    try {
+      window.localStorage.setItem(this.storageKey, themeId);
+    } catch (error) {
+      console.warn("Failed to save theme:", error);
+    }
+    return this.apply();
+  }
+
+  /**
+   * Get the theme in effect, resolving "system" to light or dark
+   * @returns {Object} Theme ({ id, name, base, colors })
+   */
+  getActiveTheme() {
+    const preference = this.getPreference();
+    if (preference !== "system") {
+      return this.themes.get(preference);
+    }
+
+    const prefersDark = Boolean(this.colorSchemeQuery?.matches);
+    return this.themes.get(prefersDark ? "dark" : "light");
+  }
+
+  /**
+   * Apply the active theme to the document
+   * @returns {string} Id of the theme applied
+   */
+  apply() {
+    const theme = this.getActiveTheme();
+
+    // Built-in themes live in styles.css; light is the :root default
+    if (theme.base === "light") {
+      delete this.root.dataset.theme;
+    } else {
+      this.root.dataset.theme = theme.base;
+    }
+
+    this.appliedProperties.forEach((property) => {
+      this.root.style.removeProperty(property);
+    });
+    this.appliedProperties = Object.entries(theme.colors).map(
+      ([token, value]) => {
+        const property = token.startsWith("--") ? token : `--color-${token}`;
+        this.root.style.setProperty(property, value);
+        return property;
+      }
+    );
+
+    return theme.id;
+  }
+
+  /**
+   * Stop following OS color scheme changes
+   */
+  destroy() {
+    this.colorSchemeQuery?.removeEventListener(
+      "change",
+      this.handleColorSchemeChange
+    );
+  }
+}
+
+// Themes defined in styles.css; their names come from the "themes" messages
+ThemeManager.builtInThemes = [
+  { id: "light" },
+  { id: "dark" },
+  { id: "high-contrast" },
+];
+
+// Export for use in other modules
+window.ThemeManager = ThemeManager;
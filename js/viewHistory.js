@@ -0,0 +1,148 @@
+// View History - Profiles viewed this session, kept in sessionStorage for back/forward
+class ViewHistory {
+  /**
+   * @param {string} providerId - Provider the profiles belong to
+   * @param {number} maxEntries - Profiles kept; the oldest are dropped first
+   */
+  constructor(providerId = "github", maxEntries = 20) {
+    this.storageKey = `profileCard:history:${providerId}`;
+    this.maxEntries = maxEntries;
+
+    const { entries, index } = this.load();
+    this.entries = entries; // Full user data, oldest first
+    this.index = index; // Position of the displayed profile
+  }
+
+  /**
+   * Read the stored history
+   * @returns {Object} { entries, index }
+   */
+  load() {
+    try {
+      const stored = JSON.parse(window.sessionStorage.getItem(this.storageKey));
+      if (stored && Array.isArray(stored.entries)) {
+        return {
+          entries: stored.entries,
+          index: Math.min(stored.index, stored.entries.length - 1),
+        };
+      }
+    } catch (error) {
+      // Unreadable history is dropped below
+    }
+    return { entries: [], index: -1 };
+  }
+
+  /**
+   * Write the history back to sessionStorage
+   */
+  save() {
+    try {
+      window.sessionStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ entries: this.entries, index: this.index })
+      );
+    } catch (error) {
+      console.warn("Failed to save view history:", error);
+    }
+  }
+
+  /**
+   * Record a displayed profile at the end. Profiles after the current one
+   * are kept, unlike browser history, so going back never loses any; an
+   * earlier view of the same profile moves to the end instead of repeating.
+   * @param {Object} userData - Normalized user data
+   */
+  add(userData) {
+    const current = this.getCurrent();
+    if (current && this.isSameUser(current, userData)) {
+      this.entries[this.index] = userData;
+      this.save();
+      return;
+    }
+
+    this.entries = this.entries.filter(
+      (entry) => !this.isSameUser(entry, userData)
+    );
+    this.entries.push(userData);
+    this.entries = this.entries.slice(-this.maxEntries);
+    this.index = this.entries.length - 1;
+    this.save();
+  }
+
+  /**
+   * Move to a stored profile
+   * @param {number} index - Position in getAll()
+   * @returns {Object|null} User data, or null if out of range
+   */
+  select(index) {
+    if (index < 0 || index >= this.entries.length) return null;
+
+    this.index = index;
+    this.save();
+    return this.entries[index];
+  }
+
+  /**
+   * Move back (-1) or forward (1)
+   * @param {number} step - Positions to move
+   * @returns {Object|null} User data, or null at either end
+   */
+  go(step) {
+    return this.select(this.index + step);
+  }
+
+  /**
+   * Forget every profile except the displayed one
+   */
+  clear() {
+    const current = this.getCurrent();
+    this.entries = current ? [current] : [];
+    this.index = this.entries.length - 1;
+    this.save();
+  }
+
+  /**
+   * Get the displayed profile's entry
+   * @returns {Object|null} User data
+   */
+  getCurrent() {
+    return this.entries[this.index] || null;
+  }
+
+  /**
+   * Get every stored profile, oldest first
+   * @returns {Array<Object>} User data
+   */
+  getAll() {
+    return [...this.entries];
+  }
+
+  /**
+   * Check if there is a profile before the current one
+   * @returns {boolean} True if back is possible
+   */
+  canGoBack() {
+    return this.index > 0;
+  }
+
+  /**
+   * Check if there is a profile after the current one
+   * @returns {boolean} True if forward is possible
+   */
+  canGoForward() {
+    return this.index < this.entries.length - 1;
+  }
+
+  /**
+   * Compare usernames case-insensitively
+   * @param {Object} a - User data
+   * @param {Object} b - User data
+   * @returns {boolean} True for the same account
+   */
+  isSameUser(a, b) {
+    return a.username.toLowerCase() === b.username.toLowerCase();
+  }
+}
+
+// Export for use in other modules
+window.ViewHistory = ViewHistory;
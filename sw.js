@@ -0,0 +1,189 @@
+// Service Worker - Precaches the app shell and keeps avatars and profile responses for offline use
+
+// Bump the version whenever a file in PRECACHE changes, so clients pick it up
+const SHELL_CACHE = "profile-card-shell-v9";
+const DATA_CACHE = "profile-card-data-v1";
+const IMAGE_CACHE = "profile-card-images-v1";
+const MAX_IMAGES = 100;
+const MAX_RESPONSES = 100;
+
+// Every file index.html and embed.html load
+const PRECACHE = [
+  "./",
+  "index.html",
+  "embed.html",
+  "styles.css",
+  "js/i18n.js",
+  "js/locales/en.js",
+  "js/locales/pt.js",
+  "js/locales/es.js",
+  "js/apiErrors.js",
+  "js/responseCache.js",
+  "js/providers/profileProvider.js",
+  "js/providers/githubProvider.js",
+  "js/providers/gitlabProvider.js",
+  "js/providers/giteaProvider.js",
+  "js/providers/jsonFileProvider.js",
+  "js/randomPool.js",
+  "js/apiService.js",
+  "js/followStore.js",
+  "js/viewHistory.js",
+  "js/favoritesStore.js",
+  "js/domManager.js",
+  "js/router.js",
+  "js/reposPanel.js",
+  "js/activityPanel.js",
+  "js/favoritesPanel.js",
+  "js/messageComposer.js",
+  "js/profileExporter.js",
+  "js/profileCardElement.js",
+  "js/themeManager.js",
+  "js/keyboardShortcuts.js",
+  "js/autoRefresh.js",
+  "js/notificationCenter.js",
+  "js/app.js",
+  "js/main.js",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => !current.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  if (isApiRequest(request)) {
+    event.respondWith(networkFirst(request));
+  } else if (request.destination === "image") {
+    event.respondWith(cacheFirst(request));
+  } else if (new URL(request.url).origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+/**
+ * Check if a request is an API call the app makes through ApiService.
+ * Signed-in requests are left alone, so one account's responses are never
+ * stored where another could read them.
+ * @param {Request} request - Intercepted request
+ * @returns {boolean} True for anonymous JSON requests
+ */
+function isApiRequest(request) {
+  return (
+    request.headers.get("Accept") === "application/json" &&
+    !request.headers.has("Authorization")
+  );
+}
+
+/**
+ * Serve API responses from the network, falling back to the last copy when
+ * offline. Copies carry an X-Cached-At header (ms timestamp) so the app can
+ * tell the user how old they are.
+ * @param {Request} request - API request
+ * @returns {Promise<Response>} Network or cached response
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+
+  try {
+    const response = await fetch(request);
+    // Conditional requests answer 304 with no body; keep the full copy
+    if (response.status === 200) {
+      const headers = new Headers(response.headers);
+      headers.set("X-Cached-At", String(Date.now()));
+      const copy = new Response(await response.clone().blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+      });
+      await cache.put(request.url, copy);
+      trimCache(DATA_CACHE, MAX_RESPONSES);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Serve images from the cache, fetching and storing ones not seen before
+ * @param {Request} request - Image request
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Cross-origin avatars are opaque (status 0), which is fine for <img>
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+    trimCache(IMAGE_CACHE, MAX_IMAGES);
+  }
+  return response;
+}
+
+/**
+ * Serve app files from the cache at once and refresh them in the
+ * background, so the next visit gets any update
+ * @param {Request} request - Same-origin request
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const update = fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch((error) => {
+      if (cached) return cached;
+      throw error;
+    });
+
+  return cached || update;
+}
+
+/**
+ * Drop the oldest entries until at most `limit` remain
+ * @param {string} cacheName - Cache to trim
+ * @param {number} limit - Number of entries to keep
+ */
+async function trimCache(cacheName, limit) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  // Keys come back in insertion order
+  await Promise.all(
+    keys
+      .slice(0, Math.max(0, keys.length - limit))
+      .map((key) => cache.delete(key))
+  );
+}